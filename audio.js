@@ -0,0 +1,208 @@
+// Ambient audio: wind rustling, water lapping and footsteps
+import * as THREE from 'three';
+import { getWaterBodiesNear, getNearestShore } from './water.js';
+import { MASTER_VOLUME } from './constants.js';
+
+// Water further than this is too far away to hear
+const LAPPING_RANGE = 150;
+const LAPPING_VOLUME = 0.6;
+
+let listener;
+let rustleSound;
+let lappingSound;
+let lappingEmitter;
+let footstepBuffer;
+let masterVolume = MASTER_VOLUME;
+let muted = false;
+
+/**
+ * Create the audio listener and start the ambient loops
+ * @param {THREE.Camera} camera - Camera to attach the listener to
+ * @param {THREE.Scene} scene - Scene to place positional sounds in
+ */
+export function initAudio(camera, scene) {
+  listener = new THREE.AudioListener();
+  camera.add(listener);
+  applyVolume();
+
+  const context = listener.context;
+
+  // Leaf rustle: bright noise whose level follows the wind gusts
+  rustleSound = new THREE.Audio(listener);
+  rustleSound.setBuffer(createNoiseBuffer(context, 4, 'white'));
+  rustleSound.setLoop(true);
+  rustleSound.setVolume(0);
+  const rustleFilter = context.createBiquadFilter();
+  rustleFilter.type = 'bandpass';
+  rustleFilter.frequency.value = 3000;
+  rustleFilter.Q.value = 0.7;
+  rustleSound.setFilter(rustleFilter);
+  rustleSound.play();
+
+  // Lake lapping: low rumbling noise pulsed by a slow oscillator
+  lappingEmitter = new THREE.Object3D();
+  scene.add(lappingEmitter);
+  lappingSound = new THREE.PositionalAudio(listener);
+  lappingSound.setBuffer(createNoiseBuffer(context, 4, 'brown'));
+  lappingSound.setLoop(true);
+  lappingSound.setRefDistance(4);
+  lappingSound.setRolloffFactor(1.5);
+  lappingSound.setVolume(0);
+
+  const lappingFilter = context.createBiquadFilter();
+  lappingFilter.type = 'lowpass';
+  lappingFilter.frequency.value = 600;
+  const lappingPulse = context.createGain();
+  lappingPulse.gain.value = 0.5;
+  const pulseOscillator = context.createOscillator();
+  pulseOscillator.frequency.value = 0.3;
+  const pulseDepth = context.createGain();
+  pulseDepth.gain.value = 0.5;
+  pulseOscillator.connect(pulseDepth);
+  pulseDepth.connect(lappingPulse.gain);
+  pulseOscillator.start();
+  lappingSound.setFilters([lappingFilter, lappingPulse]);
+
+  lappingEmitter.add(lappingSound);
+  lappingSound.play();
+
+  footstepBuffer = createNoiseBuffer(context, 0.15, 'white');
+
+  // Browsers keep audio suspended until the user interacts with the page
+  const resume = () => {
+    if (context.state === 'suspended') context.resume();
+  };
+  document.addEventListener('click', resume);
+  document.addEventListener('keydown', resume);
+}
+
+/**
+ * Update ambient sound levels and positions
+ * @param {Object} windState - Wind state from getWindState
+ * @param {THREE.Vector3} listenerPosition - Position the ambience is heard from
+ */
+export function updateAudio(windState, listenerPosition) {
+  if (!listener) return;
+
+  // Rustling swells with the gusts
+  rustleSound.setVolume(0.05 + Math.min(1, windState.gustStrength) * 0.25);
+
+  // Lapping comes from the nearest point on the nearest shoreline
+  let nearestDistance = Infinity;
+  for (const body of getWaterBodiesNear(listenerPosition.x, listenerPosition.z, LAPPING_RANGE)) {
+    const shore = getNearestShore(body, listenerPosition.x, listenerPosition.z);
+    if (shore.distance < nearestDistance) {
+      nearestDistance = shore.distance;
+      lappingEmitter.position.set(shore.x, body.level, shore.z);
+    }
+  }
+  lappingSound.setVolume(nearestDistance < Infinity ? LAPPING_VOLUME : 0);
+}
+
+/**
+ * Play a single footstep
+ * @param {string} medium - What the character is walking in (ground, wading or swimming)
+ */
+export function playFootstep(medium) {
+  if (!listener || medium === 'swimming') return;
+
+  const context = listener.context;
+  const now = context.currentTime;
+
+  const source = context.createBufferSource();
+  source.buffer = footstepBuffer;
+  source.playbackRate.value = 0.8 + Math.random() * 0.4;
+
+  // Soft thud on the forest floor, brighter splash when wading
+  const filter = context.createBiquadFilter();
+  filter.type = medium === 'wading' ? 'bandpass' : 'lowpass';
+  filter.frequency.value = medium === 'wading' ? 1800 : 400;
+
+  const gain = context.createGain();
+  gain.gain.setValueAtTime(medium === 'wading' ? 0.35 : 0.5, now);
+  gain.gain.exponentialRampToValueAtTime(0.001, now + 0.15);
+
+  source.connect(filter);
+  filter.connect(gain);
+  gain.connect(listener.getInput());
+  source.start(now);
+  source.onended = () => gain.disconnect();
+}
+
+/**
+ * Get the node other sounds should connect to so they follow volume and mute
+ * @returns {AudioNode} - Master audio input
+ */
+export function getAudioOutput() {
+  return listener ? listener.getInput() : THREE.AudioContext.getContext().destination;
+}
+
+/**
+ * Set the master volume
+ * @param {number} volume - Volume from 0 to 1
+ */
+export function setMasterVolume(volume) {
+  masterVolume = THREE.MathUtils.clamp(volume, 0, 1);
+  applyVolume();
+}
+
+/**
+ * Get the master volume
+ * @returns {number} - Volume from 0 to 1
+ */
+export function getMasterVolume() {
+  return masterVolume;
+}
+
+/**
+ * Mute or unmute all audio
+ * @param {boolean} value - Whether audio should be muted
+ */
+export function setMuted(value) {
+  muted = value;
+  applyVolume();
+}
+
+/**
+ * Toggle mute on or off
+ * @returns {boolean} - Whether audio is now muted
+ */
+export function toggleMute() {
+  setMuted(!muted);
+  return muted;
+}
+
+/**
+ * Apply the master volume and mute state to the listener
+ */
+function applyVolume() {
+  if (listener) {
+    listener.setMasterVolume(muted ? 0 : masterVolume);
+  }
+}
+
+/**
+ * Create a buffer of noise
+ * @param {AudioContext} context - Audio context
+ * @param {number} duration - Length in seconds
+ * @param {string} color - 'white' for flat noise, 'brown' for low rumbling noise
+ * @returns {AudioBuffer} - Mono noise buffer
+ */
+function createNoiseBuffer(context, duration, color) {
+  const length = Math.floor(context.sampleRate * duration);
+  const buffer = context.createBuffer(1, length, context.sampleRate);
+  const data = buffer.getChannelData(0);
+
+  let last = 0;
+  for (let i = 0; i < length; i++) {
+    const white = Math.random() * 2 - 1;
+    if (color === 'brown') {
+      last = (last + 0.02 * white) / 1.02;
+      data[i] = last * 3.5;
+    } else {
+      data[i] = white;
+    }
+  }
+
+  return buffer;
+}
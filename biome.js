@@ -0,0 +1,141 @@
+// Biome map: which species grow where across the world, and how densely
+import * as THREE from 'three';
+import { createNoise2D, fractalNoise } from './noise.js';
+import { createRandom, getSeed } from './random.js';
+import { getHeightAt } from './terrain.js';
+import { getWaterLevelAt, getWaterDepthAt, getWaterBodiesNear, getNearestShore } from './water.js';
+import { getDefaultWorldConfig } from './config.js';
+
+// Distance from the water over which the shore gives way to the forest
+const SHORE_WIDTH = 20.0;
+// Water depth over which the shore gives way to open water
+const SHORE_DEPTH = 1.0;
+// Share of the full hill height where conifers start to take over, and where they have taken over
+const HIGHLAND_START = 0.55;
+const HIGHLAND_FULL = 0.7;
+
+/**
+ * Species weights and plant density of each biome
+ * Densities scale the config's trees and undergrowth per chunk; 1 plants them all.
+ */
+const BIOMES = {
+  highland: {
+    density: { trees: 1.0, undergrowth: 0.8 },
+    trees: { pine: 8, dead: 1 },
+    undergrowth: { fern: 3, rock: 4, grass: 2, mushroom: 1 }
+  },
+  woodland: {
+    density: { trees: 1.0, undergrowth: 1.0 },
+    trees: { pine: 3, deciduous: 3, oak: 2, birch: 1, dead: 0.5 },
+    undergrowth: { bush: 5, grass: 3, fern: 3, mushroom: 2, log: 1, rock: 1 }
+  },
+  grove: {
+    density: { trees: 0.6, undergrowth: 1.0 },
+    trees: { birch: 5, deciduous: 1, oak: 1 },
+    undergrowth: { grass: 6, fern: 2, bush: 1, mushroom: 1 }
+  },
+  shore: {
+    density: { trees: 0.3, undergrowth: 1.0 },
+    trees: { birch: 2, deciduous: 1 },
+    undergrowth: { reed: 8, grass: 2, rock: 1 }
+  }
+};
+
+// Terrain and forest settings from the world config
+let settings = getDefaultWorldConfig();
+// Low frequency noise splitting the lowland into open birch groves and mixed woodland
+let groveNoise = createNoise2D(createRandom('biome'));
+
+/**
+ * Set up the biome map for the current world seed
+ * Call after generateTerrain, since biomes follow the terrain's hills and water.
+ * @param {Object} [config] - World config; keeps the current one when left out
+ */
+export function generateBiomes(config = settings) {
+  settings = config;
+  groveNoise = createNoise2D(createRandom(`${getSeed()}:biome`));
+}
+
+/**
+ * Work out the mix of biomes at a point
+ * Biomes blend into each other, so a point near a boundary has a share of both.
+ * @param {number} x - World x coordinate
+ * @param {number} z - World z coordinate
+ * @returns {Object} - Biome name to share (the shares add up to 1)
+ */
+export function getBiomeAt(x, z) {
+  const shore = getShoreCloseness(x, z);
+
+  // Conifers on high ground
+  const heightShare = settings.terrain.height > 0 ? getHeightAt(x, z) / settings.terrain.height : 0;
+  const highland = THREE.MathUtils.smoothstep(heightShare, HIGHLAND_START, HIGHLAND_FULL);
+
+  // Groves and woodland in patches across the lowland
+  const { biomeScale } = settings.forest;
+  const grove = THREE.MathUtils.smoothstep(fractalNoise(groveNoise, x * biomeScale, z * biomeScale, 2), 0.1, 0.35);
+
+  return {
+    shore,
+    highland: (1 - shore) * highland,
+    grove: (1 - shore) * (1 - highland) * grove,
+    woodland: (1 - shore) * (1 - highland) * (1 - grove)
+  };
+}
+
+/**
+ * Get how densely a layer of the forest grows at a point
+ * @param {Object} biome - Biome shares from getBiomeAt
+ * @param {string} layer - trees or undergrowth
+ * @returns {number} - Share of the config's plants per chunk to grow here (0 to 1)
+ */
+export function getBiomeDensity(biome, layer) {
+  let density = 0;
+  for (const [name, share] of Object.entries(biome)) {
+    density += share * BIOMES[name].density[layer];
+  }
+  return density;
+}
+
+/**
+ * Pick a species for a layer of the forest, weighted by the biomes at a point
+ * @param {Object} biome - Biome shares from getBiomeAt
+ * @param {string} layer - trees or undergrowth
+ * @param {Function} random - Random number generator
+ * @returns {string} - Species name (see species.js)
+ */
+export function pickSpecies(biome, layer, random) {
+  const weights = new Map();
+  let total = 0;
+  for (const [name, share] of Object.entries(biome)) {
+    for (const [species, weight] of Object.entries(BIOMES[name][layer])) {
+      weights.set(species, (weights.get(species) || 0) + share * weight);
+      total += share * weight;
+    }
+  }
+
+  let pick = random() * total;
+  for (const [species, weight] of weights) {
+    pick -= weight;
+    if (pick < 0) return species;
+  }
+  return [...weights.keys()].pop();
+}
+
+/**
+ * Measure how close a point is to the water's edge, from the water or the land side
+ * @param {number} x - World x coordinate
+ * @param {number} z - World z coordinate
+ * @returns {number} - 1 at the water's edge, falling to 0 SHORE_WIDTH inland or SHORE_DEPTH under water
+ */
+function getShoreCloseness(x, z) {
+  // In the shallows, going by how deep the water is
+  if (getWaterLevelAt(x, z) !== null) {
+    return 1 - THREE.MathUtils.smoothstep(getWaterDepthAt(x, z), 0, SHORE_DEPTH);
+  }
+
+  let closeness = 0;
+  for (const body of getWaterBodiesNear(x, z, SHORE_WIDTH)) {
+    closeness = Math.max(closeness, 1 - THREE.MathUtils.smoothstep(getNearestShore(body, x, z).distance, 0, SHORE_WIDTH));
+  }
+  return closeness;
+}
@@ -2,7 +2,11 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { PointerLockControls } from 'three/addons/controls/PointerLockControls.js';
-import { CHARACTER_HEIGHT, JUMP_FORCE } from './constants.js';
+import { getHeightAt } from './terrain.js';
+import { castRay } from './physics.js';
+import { updateOcclusionFade } from './occlusion.js';
+import { initCharacterAnimation, updateCharacterAnimation } from './characteranimation.js';
+import { CHARACTER_HEIGHT, CAMERA_DISTANCE, CAMERA_MIN_DISTANCE, CAMERA_MAX_DISTANCE, MOUSE_SENSITIVITY, CROUCH_CAMERA_DROP } from './constants.js';
 
 // Character variables
 let character;
@@ -10,49 +14,138 @@ let mixer;
 let controls;
 
 // Movement state - create a state object to ensure references are maintained
+// Booleans come from keys; forward and turn are analog amounts (-1 to 1) from sticks
 const movementState = {
   moveForward: false,
   moveBackward: false,
   turnLeft: false,
   turnRight: false,
+  strafeLeft: false,
+  strafeRight: false,
+  sprint: false,
+  crouch: false, // Also dives when swimming
+  swimUp: false, // Jump held, to swim back up from a dive
+  forward: 0,
+  turn: 0,
   canJump: false,
-  velocity: new THREE.Vector3()
+  airTime: 0, // Seconds since last touching the ground
+  velocity: new THREE.Vector3(),
+  stamina: 1, // Sprint left (0 to 1)
+  exhausted: false, // Ran out of stamina and has not yet recovered enough to sprint
+  crouchAmount: 0, // How far down the character is crouched (0 standing to 1 crouched)
+  breath: 1, // Air left for staying under water (0 to 1)
+  outOfBreath: false // Ran out of breath and has not yet recovered enough to dive
 };
 
+// Camera orbit around the character: yaw relative to its facing, pitch above the horizon (radians)
+const cameraOrbit = {
+  yaw: 0,
+  pitch: 0,
+  distance: CAMERA_DISTANCE,
+  steerCharacter: false // Turn the character towards where the camera looks while moving
+};
+const MIN_CAMERA_PITCH = -0.3;
+const MAX_CAMERA_PITCH = 1.2;
+// How quickly the character turns to face the camera direction when steering (radians per second)
+const CAMERA_STEER_SPEED = 4.0;
+// Space kept between the camera and trunks, and how close it may be pulled in
+const CAMERA_COLLISION_PADDING = 0.4;
+const CAMERA_CLOSEST_DISTANCE = 0.8;
+// Easing rates (per second) for pulling the camera in and letting it back out
+const CAMERA_PULL_IN_RATE = 15.0;
+const CAMERA_EASE_OUT_RATE = 3.0;
+// Reach of tree crowns beyond their trunk colliders, for fading foliage
+const CROWN_FADE_PADDING = 2.5;
+
+// Camera distance after collision and easing, and how faded occluding foliage is
+let cameraDistance = CAMERA_DISTANCE;
+let occlusionFade = 0;
+
+// 'third' for the orbit camera, 'first' to look through the character's eyes
+let cameraMode = 'third';
+const firstPersonView = new THREE.Euler(0, 0, 0, 'YXZ');
+
 /**
  * Initialize controls
+ * The controls only turn the camera in first-person mode; locking the pointer
+ * and the overlay that goes with it are handled by core.js.
  * @param {THREE.Camera} camera - The camera to control
  * @param {HTMLElement} domElement - The DOM element to attach controls to
  * @returns {PointerLockControls} - The initialized controls
  */
 export function initControls(camera, domElement) {
-  // Create controls
+  // Create controls, turning at the same rate as the orbit camera
   controls = new PointerLockControls(camera, domElement);
+  controls.pointerSpeed = MOUSE_SENSITIVITY / 0.002;
+  controls.minPolarAngle = 0.05;
+  controls.maxPolarAngle = Math.PI - 0.05;
 
-  // Add event listeners for controls
-  const container = document.getElementById('container');
-  container.addEventListener('click', () => {
-    controls.lock();
-  });
+  return controls;
+}
 
-  controls.addEventListener('lock', () => {
-    document.getElementById('info').classList.add('hidden');
-  });
+/**
+ * Switch between the third-person orbit camera and a first-person view
+ * @param {string} mode - 'third' or 'first'
+ */
+export function setCameraMode(mode) {
+  if (mode !== 'third' && mode !== 'first') {
+    throw new Error(`Unknown camera mode: ${mode}`);
+  }
+  cameraMode = mode;
+  if (!character) return;
 
-  controls.addEventListener('unlock', () => {
-    document.getElementById('info').classList.remove('hidden');
-  });
+  // The body would fill the view from inside it
+  character.visible = mode === 'third';
 
-  // Auto-lock controls on page load for testing
-  setTimeout(() => {
-    controls.lock();
-  }, 1000);
+  if (mode === 'first' && controls) {
+    // Look the way the character faces (cameras look down -z, the character faces +z)
+    firstPersonView.set(0, character.rotation.y + Math.PI, 0);
+    controls.getObject().quaternion.setFromEuler(firstPersonView);
+  } else {
+    // Come back to the orbit camera behind the character
+    cameraOrbit.yaw = 0;
+  }
+}
 
-  // Add key event listeners
-  document.addEventListener('keydown', onKeyDown);
-  document.addEventListener('keyup', onKeyUp);
+/**
+ * Get the current camera mode
+ * @returns {string} - 'third' or 'first'
+ */
+export function getCameraMode() {
+  return cameraMode;
+}
 
-  return controls;
+/**
+ * Turn the first-person view
+ * @param {number} deltaYaw - Change in heading (radians, positive turns left)
+ * @param {number} deltaPitch - Change in pitch (radians, positive looks down)
+ */
+function turnFirstPersonView(deltaYaw, deltaPitch) {
+  const camera = controls.getObject();
+  firstPersonView.setFromQuaternion(camera.quaternion);
+  firstPersonView.y += deltaYaw;
+  firstPersonView.x = THREE.MathUtils.clamp(
+    firstPersonView.x - deltaPitch,
+    Math.PI / 2 - controls.maxPolarAngle,
+    Math.PI / 2 - controls.minPolarAngle
+  );
+  camera.quaternion.setFromEuler(firstPersonView);
+}
+
+/**
+ * Update the camera for first-person view, at eye height on the character
+ * @param {THREE.Camera} camera - The camera to update
+ * @param {THREE.Vector3} characterPosition - The character's position (its centre)
+ */
+export function updateFirstPersonCamera(camera, characterPosition) {
+  // The character's origin is at half its height, so the eyes are half a height above it
+  const eyeHeight = CHARACTER_HEIGHT / 2 - CROUCH_CAMERA_DROP * movementState.crouchAmount;
+  camera.position.set(characterPosition.x, characterPosition.y + eyeHeight, characterPosition.z);
+  camera.updateMatrixWorld();
+
+  // Nothing stands between the eyes and the body, so foliage needs no fading
+  occlusionFade = 0;
+  updateOcclusionFade(camera, characterPosition, 0);
 }
 
 /**
@@ -63,9 +156,12 @@ export function initControls(camera, domElement) {
 export function loadCharacter(scene, loadingManager) {
   // Create a character group to hold all parts
   character = new THREE.Group();
-  character.position.set(0, CHARACTER_HEIGHT / 2, 0);
+  character.position.set(0, getHeightAt(0, 0) + CHARACTER_HEIGHT / 2, 0);
   scene.add(character);
 
+  // Apply a camera mode chosen before the character existed
+  setCameraMode(cameraMode);
+
   // Materials for different body parts
   const skinMaterial = new THREE.MeshStandardMaterial({ color: 0xf5d0b0 }); // Skin color
   const hairMaterial = new THREE.MeshStandardMaterial({ color: 0x3d2314 }); // Dark brown hair
@@ -440,94 +536,82 @@ export function loadCharacter(scene, loadingManager) {
   rightFoot.castShadow = true;
   character.add(rightFoot);
 
-  // Create animation mixer
+  // Create animation mixer, playing the idle, walk, run, jump, fall, land and swim clips
   mixer = new THREE.AnimationMixer(character);
+  initCharacterAnimation(mixer);
 }
 
 /**
- * Handle key down events
- * @param {KeyboardEvent} event - The keyboard event
+ * Swing the camera around the character (or turn the view, in first person)
+ * @param {number} deltaYaw - Change in yaw (radians, positive turns the camera left)
+ * @param {number} deltaPitch - Change in pitch (radians, positive raises the camera)
  */
-function onKeyDown(event) {
-  // Only process key events when controls are locked
-  if (!controls.isLocked) return;
-
-  switch (event.code) {
-    case 'ArrowUp':
-    case 'KeyW':
-      movementState.moveForward = true;
-      break;
-    case 'ArrowLeft':
-    case 'KeyA':
-      movementState.turnLeft = true;
-      break;
-    case 'ArrowDown':
-    case 'KeyS':
-      movementState.moveBackward = true;
-      break;
-    case 'ArrowRight':
-    case 'KeyD':
-      movementState.turnRight = true;
-      break;
-    case 'Space':
-      if (movementState.canJump) {
-        movementState.velocity.y = JUMP_FORCE;
-      }
-      movementState.canJump = false;
-      break;
+export function orbitCamera(deltaYaw, deltaPitch) {
+  // In first person the same input turns the view instead
+  if (cameraMode === 'first' && controls) {
+    turnFirstPersonView(deltaYaw, deltaPitch);
+    return;
   }
+
+  // Keep yaw between -PI and PI so steering always takes the short way round
+  cameraOrbit.yaw = THREE.MathUtils.euclideanModulo(cameraOrbit.yaw + deltaYaw + Math.PI, Math.PI * 2) - Math.PI;
+  cameraOrbit.pitch = THREE.MathUtils.clamp(cameraOrbit.pitch + deltaPitch, MIN_CAMERA_PITCH, MAX_CAMERA_PITCH);
 }
 
 /**
- * Handle key up events
- * @param {KeyboardEvent} event - The keyboard event
+ * Move the camera closer to or further from the character
+ * @param {number} factor - Distance multiplier (below 1 zooms in)
  */
-function onKeyUp(event) {
-  // Only process key events when controls are locked
-  if (!controls.isLocked) return;
-
-  switch (event.code) {
-    case 'ArrowUp':
-    case 'KeyW':
-      movementState.moveForward = false;
-      break;
-    case 'ArrowLeft':
-    case 'KeyA':
-      movementState.turnLeft = false;
-      break;
-    case 'ArrowDown':
-    case 'KeyS':
-      movementState.moveBackward = false;
-      break;
-    case 'ArrowRight':
-    case 'KeyD':
-      movementState.turnRight = false;
-      break;
-  }
+export function zoomCamera(factor) {
+  cameraOrbit.distance = THREE.MathUtils.clamp(cameraOrbit.distance * factor, CAMERA_MIN_DISTANCE, CAMERA_MAX_DISTANCE);
+}
+
+/**
+ * Choose whether moving steers the character towards the camera direction
+ * @param {boolean} enabled - Whether the character follows the camera
+ */
+export function setCameraSteering(enabled) {
+  cameraOrbit.steerCharacter = enabled;
 }
 
 /**
  * Update camera position for third-person view
  * @param {THREE.Camera} camera - The camera to update
  * @param {THREE.Vector3} characterPosition - The character's position
- * @param {THREE.Vector3} direction - The movement direction
+ * @param {number} [delta] - Time delta for easing the camera distance
  */
-export function updateThirdPersonCamera(camera, characterPosition) {
-  // Calculate camera position behind and above character
-  const cameraOffset = new THREE.Vector3(0, 1.5, 4); // Height and distance behind
-
-  // Position camera behind character based on character's rotation
-  const cameraPosition = new THREE.Vector3();
-  cameraPosition.copy(characterPosition);
-
-  // Apply offset in the direction the character is facing
-  const rotationAngle = character.rotation.y;
-  cameraOffset.x = Math.sin(rotationAngle) * 4; // 4 units behind
-  cameraOffset.z = Math.cos(rotationAngle) * 4;
+export function updateThirdPersonCamera(camera, characterPosition, delta = 0) {
+  // Direction from the character back towards the camera, swung round by the orbit yaw
+  const rotationAngle = character.rotation.y + cameraOrbit.yaw;
+  const backX = -Math.sin(rotationAngle);
+  const backZ = -Math.cos(rotationAngle);
+
+  // Pull the camera in front of any trunk between it and the character
+  const horizontalReach = Math.cos(cameraOrbit.pitch) * cameraOrbit.distance;
+  const blockedAt = castRay(characterPosition.x, characterPosition.z, backX, backZ, horizontalReach + CAMERA_COLLISION_PADDING, CAMERA_COLLISION_PADDING);
+  let targetDistance = cameraOrbit.distance;
+  if (blockedAt < Infinity) {
+    targetDistance = Math.max(CAMERA_CLOSEST_DISTANCE, Math.min(targetDistance, (blockedAt - CAMERA_COLLISION_PADDING) / Math.cos(cameraOrbit.pitch)));
+  }
 
-  // Add offset to character position
-  cameraPosition.add(new THREE.Vector3(0, cameraOffset.y, 0)); // Add height
-  cameraPosition.sub(new THREE.Vector3(cameraOffset.x, 0, cameraOffset.z)); // Subtract horizontal offset
+  // Ease towards it: in quickly so trunks never fill the view, back out slowly so it doesn't jitter
+  const easeRate = targetDistance < cameraDistance ? CAMERA_PULL_IN_RATE : CAMERA_EASE_OUT_RATE;
+  cameraDistance += (targetDistance - cameraDistance) * (1 - Math.exp(-easeRate * delta));
+  if (delta === 0) cameraDistance = targetDistance;
+
+  // Calculate camera position behind and above character, raised by the orbit pitch
+  // and lowered while crouching
+  const crouchDrop = CROUCH_CAMERA_DROP * movementState.crouchAmount;
+  const horizontalDistance = Math.cos(cameraOrbit.pitch) * cameraDistance;
+  const cameraPosition = new THREE.Vector3(
+    characterPosition.x + backX * horizontalDistance,
+    characterPosition.y + 1.5 - crouchDrop + Math.sin(cameraOrbit.pitch) * cameraDistance,
+    characterPosition.z + backZ * horizontalDistance
+  );
+
+  // Keep the camera above rising ground behind the character
+  const minCameraHeight = getHeightAt(cameraPosition.x, cameraPosition.z) + 0.5;
+  cameraPosition.y = Math.max(cameraPosition.y, minCameraHeight);
 
   // Update camera position
   camera.position.copy(cameraPosition);
@@ -535,26 +619,46 @@ export function updateThirdPersonCamera(camera, characterPosition) {
   // Make camera look at character (slightly above the character's position)
   const lookAtPosition = new THREE.Vector3();
   lookAtPosition.copy(characterPosition);
-  lookAtPosition.y += 1.0; // Look at a point slightly above the character
+  lookAtPosition.y += 1.0 - crouchDrop; // Look at a point slightly above the character
   camera.lookAt(lookAtPosition);
+  camera.updateMatrixWorld();
+
+  // Fade foliage out of the line of sight while tree crowns are in the way
+  const crownInView = castRay(characterPosition.x, characterPosition.z, backX, backZ, horizontalDistance, CROWN_FADE_PADDING) < Infinity;
+  occlusionFade += (Number(crownInView) - occlusionFade) * (1 - Math.exp(-CAMERA_EASE_OUT_RATE * delta));
+  updateOcclusionFade(camera, lookAtPosition, occlusionFade);
 }
 
 /**
  * Update character rotation based on turn state
  * @param {number} delta - Time delta for smooth rotation
+ * @param {boolean} [isMoving] - Whether the character is walking this frame
  */
-export function updateCharacterRotation(delta) {
+export function updateCharacterRotation(delta, isMoving = false) {
   if (!character) return;
 
   // Define rotation speed (radians per second)
   const rotationSpeed = 2.0;
 
-  // Apply rotation based on turn state
-  if (movementState.turnLeft) {
-    character.rotation.y += rotationSpeed * delta;
+  // Apply rotation based on turn keys and the analog turn amount
+  const turn = THREE.MathUtils.clamp(
+    Number(movementState.turnLeft) - Number(movementState.turnRight) + movementState.turn,
+    -1, 1
+  );
+  if (cameraMode === 'first' && controls) {
+    // In first person the heading follows the view, and turning turns the view
+    turnFirstPersonView(rotationSpeed * turn * delta, 0);
+    firstPersonView.setFromQuaternion(controls.getObject().quaternion);
+    character.rotation.y = firstPersonView.y - Math.PI;
+  } else {
+    character.rotation.y += rotationSpeed * turn * delta;
   }
-  if (movementState.turnRight) {
-    character.rotation.y -= rotationSpeed * delta;
+
+  // When steering with the camera, turn towards where it looks; the camera stays put
+  if (cameraMode === 'third' && cameraOrbit.steerCharacter && isMoving && cameraOrbit.yaw !== 0) {
+    const step = Math.sign(cameraOrbit.yaw) * Math.min(Math.abs(cameraOrbit.yaw), CAMERA_STEER_SPEED * delta);
+    character.rotation.y += step;
+    cameraOrbit.yaw -= step;
   }
 
   // Normalize rotation angle to keep it between 0 and 2*PI
@@ -562,52 +666,25 @@ export function updateCharacterRotation(delta) {
 }
 
 /**
- * Animate character walking
+ * Animate the character for how it is moving, through the animation state machine
  * @param {number} delta - Time delta for animation
- * @param {THREE.Vector3} direction - Movement direction
+ * @param {Object} collision - Last collision result, with the medium and surface height
+ * @returns {boolean} - Whether a foot touched down this frame
  */
-export function animateCharacterWalking(delta, direction) {
-  if (!character) return;
+export function animateCharacter(delta, collision) {
+  if (!character) return false;
+
+  const footfall = updateCharacterAnimation(delta, {
+    groundSpeed: Math.hypot(movementState.velocity.x, movementState.velocity.z),
+    verticalSpeed: movementState.velocity.y,
+    airTime: movementState.airTime,
+    clearance: character.position.y - collision.surfaceHeight,
+    medium: collision.medium
+  });
+  mixer.update(delta);
 
-  // Check if character is moving
-  const isMoving = direction.x !== 0 || direction.z !== 0;
-
-  // Find limbs by name
-  const leftArm = character.getObjectByName("leftArm");
-  const rightArm = character.getObjectByName("rightArm");
-  const leftLeg = character.getObjectByName("leftLeg");
-  const rightLeg = character.getObjectByName("rightLeg");
-
-  if (leftArm && rightArm && leftLeg && rightLeg) {
-    if (isMoving) {
-      // Calculate animation time
-      const walkSpeed = 7; // Speed of walking animation
-      const walkTime = performance.now() * 0.001 * walkSpeed;
-
-      // Arm swing animation
-      leftArm.rotation.x = Math.sin(walkTime) * 0.5;
-      rightArm.rotation.x = Math.sin(walkTime + Math.PI) * 0.5; // Opposite phase
-
-      // Leg swing animation
-      leftLeg.rotation.x = Math.sin(walkTime) * 0.5;
-      rightLeg.rotation.x = Math.sin(walkTime + Math.PI) * 0.5; // Opposite phase
-
-      // Reset arm side angle while walking to look more natural
-      leftArm.rotation.z = Math.PI / 6 + Math.sin(walkTime) * 0.1;
-      rightArm.rotation.z = -Math.PI / 6 - Math.sin(walkTime + Math.PI) * 0.1;
-    } else {
-      // Reset to idle pose when not moving
-      leftArm.rotation.x = Math.PI / 24; // Very slight forward angle
-      rightArm.rotation.x = Math.PI / 24; // Very slight forward angle
-      leftLeg.rotation.x = 0;
-      rightLeg.rotation.x = 0;
-
-      // Maintain very slight natural angle for arms in idle pose
-      leftArm.rotation.z = Math.PI / 30;
-      rightArm.rotation.z = -Math.PI / 30;
-    }
-  }
+  return footfall;
 }
 
 // Export variables and state for use in other modules
-export { character, mixer, controls, movementState };
+export { character, mixer, controls, movementState, cameraOrbit };
@@ -0,0 +1,278 @@
+// Character animation states built as clips and blended through the animation mixer
+import * as THREE from 'three';
+import { CHARACTER_SPEED } from './constants.js';
+
+// Named limbs the clips animate
+const LIMBS = ['leftArm', 'rightArm', 'leftLeg', 'rightLeg'];
+
+// Seconds to blend from one state into the next
+const BLEND_TIME = 0.2;
+// Keyframes sampled along each looping clip
+const CYCLE_SAMPLES = 16;
+// Stride cycles per second at walking speed (two footfalls per cycle)
+const WALK_CYCLES_PER_SECOND = 7 / (Math.PI * 2);
+// Ground speed, relative to walking speed, below which the character stands and above which it runs
+const IDLE_SPEED = 0.05;
+const RUN_SPEED = 1.25;
+// Seconds in the air, and height above the ground, before leaving the ground counts as falling
+// (running downhill leaves the ground briefly without looking like a fall)
+const FALL_DELAY = 0.2;
+const FALL_CLEARANCE = 1.0;
+// Length of the landing dip
+const LAND_DURATION = 0.3;
+// Swimming speed at which strokes reach their normal rate
+const SWIM_STROKE_SPEED = CHARACTER_SPEED * 0.35;
+
+// Resting arm angles (forward tilt and outward angle)
+const ARM_REST_X = Math.PI / 24;
+const ARM_REST_Z = Math.PI / 30;
+
+// Actions by state name, the state playing and how far through its stride the character is
+let actions = null;
+let currentState = 'idle';
+let stridePhase = 0;
+
+/**
+ * Build the animation clips and start the character standing
+ * @param {THREE.AnimationMixer} mixer - Mixer rooted at the character
+ */
+export function initCharacterAnimation(mixer) {
+  const clips = {
+    idle: createCycleClip('idle', 3, idlePose),
+    walk: createCycleClip('walk', 1, walkPose),
+    run: createCycleClip('run', 1, runPose),
+    jump: createCycleClip('jump', 1, jumpPose),
+    fall: createCycleClip('fall', 0.6, fallPose),
+    land: createLandClip(),
+    swim: createCycleClip('swim', 1.5, swimPose)
+  };
+
+  actions = {};
+  for (const [state, clip] of Object.entries(clips)) {
+    actions[state] = mixer.clipAction(clip);
+  }
+
+  // The stride is driven by ground speed, not by the mixer clock
+  actions.walk.timeScale = 0;
+  actions.run.timeScale = 0;
+
+  // Landing plays once and holds its last pose while the next state fades in
+  actions.land.setLoop(THREE.LoopOnce, 1);
+  actions.land.clampWhenFinished = true;
+
+  currentState = 'idle';
+  stridePhase = 0;
+  actions.idle.play();
+}
+
+/**
+ * Pick the animation state for the character's motion and blend towards it
+ * @param {number} delta - Time delta in seconds
+ * @param {Object} motion - How the character is moving
+ * @param {number} motion.groundSpeed - Horizontal speed in units per second
+ * @param {number} motion.verticalSpeed - Vertical speed in units per second
+ * @param {number} motion.airTime - Seconds since the character last touched the ground
+ * @param {number} motion.clearance - Height of the character above the ground or water surface
+ * @param {string} motion.medium - Medium from the collision pass (ground, grass, wading or swimming)
+ * @returns {boolean} - Whether a foot landed this frame
+ */
+export function updateCharacterAnimation(delta, motion) {
+  if (!actions) return false;
+
+  const nextState = chooseState(motion);
+  if (nextState !== currentState) {
+    const next = actions[nextState].reset().play();
+    actions[currentState].crossFadeTo(next, BLEND_TIME, false);
+    currentState = nextState;
+  }
+
+  // Stride frequency follows ground speed, so the feet keep pace with the ground
+  const previousPhase = stridePhase;
+  stridePhase = (stridePhase + motion.groundSpeed / CHARACTER_SPEED * WALK_CYCLES_PER_SECOND * delta) % 1;
+  actions.walk.time = stridePhase * actions.walk.getClip().duration;
+  actions.run.time = stridePhase * actions.run.getClip().duration;
+
+  // Stroke faster when swimming along than when treading water
+  const swimSpeed = Math.min(motion.groundSpeed / SWIM_STROKE_SPEED, 2);
+  actions.swim.timeScale = 0.5 + 0.5 * swimSpeed;
+
+  // A foot lands each time the legs pass each other
+  const isStriding = currentState === 'walk' || currentState === 'run';
+  return isStriding && Math.floor(previousPhase * 2) !== Math.floor(stridePhase * 2);
+}
+
+/**
+ * Get the animation state playing
+ * @returns {string} - idle, walk, run, jump, fall, land or swim
+ */
+export function getAnimationState() {
+  return currentState;
+}
+
+/**
+ * Decide which state the character's motion calls for
+ * @param {Object} motion - How the character is moving (see updateCharacterAnimation)
+ * @returns {string} - State name
+ */
+function chooseState(motion) {
+  if (motion.medium === 'swimming') return 'swim';
+
+  // Rising from a jump, or long enough in the air to be falling
+  if (motion.airTime > 0 && motion.verticalSpeed > 0) return 'jump';
+  if (motion.airTime > FALL_DELAY && (motion.clearance > FALL_CLEARANCE || currentState === 'fall')) return 'fall';
+
+  // Touching down after a jump or fall dips the knees before walking on
+  if (currentState === 'jump' || currentState === 'fall') return 'land';
+  if (currentState === 'land' && actions.land.isRunning()) return 'land';
+
+  const speed = motion.groundSpeed / CHARACTER_SPEED;
+  if (speed > RUN_SPEED) return 'run';
+  if (speed > IDLE_SPEED) return 'walk';
+  return 'idle';
+}
+
+/**
+ * Build a looping clip by sampling a pose function over one cycle
+ * @param {string} name - Clip name
+ * @param {number} duration - Cycle length in seconds
+ * @param {Function} pose - Returns limb angles for a phase from 0 to 1
+ * @returns {THREE.AnimationClip} - The clip
+ */
+function createCycleClip(name, duration, pose) {
+  const keyframes = [];
+  for (let i = 0; i <= CYCLE_SAMPLES; i++) {
+    const phase = i / CYCLE_SAMPLES;
+    keyframes.push({ time: phase * duration, pose: pose(phase) });
+  }
+  return createPoseClip(name, duration, keyframes);
+}
+
+/**
+ * Build the landing clip: knees bent on impact, straightening back to standing
+ * @returns {THREE.AnimationClip} - The clip
+ */
+function createLandClip() {
+  const impact = {
+    leftArm: [-0.4, ARM_REST_Z * 4],
+    rightArm: [-0.4, -ARM_REST_Z * 4],
+    leftLeg: [0.6, 0],
+    rightLeg: [0.6, 0]
+  };
+  return createPoseClip('land', LAND_DURATION, [
+    { time: 0, pose: impact },
+    { time: LAND_DURATION, pose: idlePose(0) }
+  ]);
+}
+
+/**
+ * Build a clip from limb poses at given times
+ * @param {string} name - Clip name
+ * @param {number} duration - Clip length in seconds
+ * @param {Array<Object>} keyframes - Times and poses, each pose mapping limb name to [x, z] angles
+ * @returns {THREE.AnimationClip} - The clip
+ */
+function createPoseClip(name, duration, keyframes) {
+  const euler = new THREE.Euler();
+  const quaternion = new THREE.Quaternion();
+  const times = keyframes.map((keyframe) => keyframe.time);
+
+  const tracks = LIMBS.map((limb) => {
+    const values = [];
+    for (const { pose } of keyframes) {
+      const [x, z] = pose[limb];
+      quaternion.setFromEuler(euler.set(x, 0, z));
+      values.push(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+    }
+    return new THREE.QuaternionKeyframeTrack(`${limb}.quaternion`, times, values);
+  });
+
+  return new THREE.AnimationClip(name, duration, tracks);
+}
+
+/**
+ * Standing still, arms breathing slightly in and out
+ * @param {number} phase - Position in the cycle (0 to 1)
+ * @returns {Object} - Limb name to [x, z] angles
+ */
+function idlePose(phase) {
+  const breath = Math.sin(phase * Math.PI * 2) * 0.02;
+  return {
+    leftArm: [ARM_REST_X, ARM_REST_Z + breath],
+    rightArm: [ARM_REST_X, -ARM_REST_Z - breath],
+    leftLeg: [0, 0],
+    rightLeg: [0, 0]
+  };
+}
+
+/**
+ * Walking stride, arms swinging against the legs
+ * @param {number} phase - Position in the stride (0 to 1)
+ * @returns {Object} - Limb name to [x, z] angles
+ */
+function walkPose(phase) {
+  const swing = Math.sin(phase * Math.PI * 2);
+  return {
+    leftArm: [swing * 0.5, Math.PI / 6 + swing * 0.1],
+    rightArm: [-swing * 0.5, -Math.PI / 6 + swing * 0.1],
+    leftLeg: [swing * 0.5, 0],
+    rightLeg: [-swing * 0.5, 0]
+  };
+}
+
+/**
+ * Running stride: longer leg swing, bent arms pumping close to the body
+ * @param {number} phase - Position in the stride (0 to 1)
+ * @returns {Object} - Limb name to [x, z] angles
+ */
+function runPose(phase) {
+  const swing = Math.sin(phase * Math.PI * 2);
+  return {
+    leftArm: [-0.4 + swing * 0.8, Math.PI / 10],
+    rightArm: [-0.4 - swing * 0.8, -Math.PI / 10],
+    leftLeg: [swing * 0.8, 0],
+    rightLeg: [-swing * 0.8, 0]
+  };
+}
+
+/**
+ * Rising from a jump: arms thrown up, one knee tucked
+ * @returns {Object} - Limb name to [x, z] angles
+ */
+function jumpPose() {
+  return {
+    leftArm: [-1.2, 0.3],
+    rightArm: [-1.2, -0.3],
+    leftLeg: [0.5, 0],
+    rightLeg: [-0.3, 0]
+  };
+}
+
+/**
+ * Falling: arms spread for balance and waving a little
+ * @param {number} phase - Position in the cycle (0 to 1)
+ * @returns {Object} - Limb name to [x, z] angles
+ */
+function fallPose(phase) {
+  const wave = Math.sin(phase * Math.PI * 2) * 0.15;
+  return {
+    leftArm: [-0.2, 1.3 + wave],
+    rightArm: [-0.2, -1.3 + wave],
+    leftLeg: [0.2, 0],
+    rightLeg: [-0.2, 0]
+  };
+}
+
+/**
+ * Swimming: alternating overarm strokes and a flutter kick
+ * @param {number} phase - Position in the stroke (0 to 1)
+ * @returns {Object} - Limb name to [x, z] angles
+ */
+function swimPose(phase) {
+  const stroke = phase * Math.PI * 2;
+  return {
+    leftArm: [-Math.PI / 2 + Math.sin(stroke) * 1.2, 0.2],
+    rightArm: [-Math.PI / 2 - Math.sin(stroke) * 1.2, -0.2],
+    leftLeg: [Math.sin(stroke * 2) * 0.4, 0],
+    rightLeg: [-Math.sin(stroke * 2) * 0.4, 0]
+  };
+}
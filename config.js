@@ -0,0 +1,218 @@
+// World configuration: terrain, water, forest, wind and physics settings loaded from JSON
+import { CHUNK_SIZE } from './constants.js';
+
+// A point on the ground, for lake outlines and river courses
+const POINT_SCHEMA = {
+  x: { type: 'number' },
+  z: { type: 'number' }
+};
+
+// Every setting a world config may hold, with its type, allowed range and default
+// A config only needs the settings it changes; the rest take these defaults.
+const WORLD_CONFIG_SCHEMA = {
+  terrain: {
+    height: { type: 'number', min: 0, default: 8.0 }, // Maximum hill height
+    noiseScale: { type: 'number', min: 0, default: 0.008 }, // Lower values give broader hills
+    segments: { type: 'integer', min: 1, max: 256, default: 40 }, // Terrain resolution per chunk side
+    spawnClearance: { type: 'number', min: 0, default: 10.0 } // Radius around the spawn point kept free of trees and water
+  },
+  water: {
+    level: { type: 'number', default: -0.5 }, // Height of the lake and river surface
+    lakeDepth: { type: 'number', min: 0, default: 3.0 }, // Depth of the lake basin below the water surface
+    lakeChance: { type: 'number', min: 0, max: 1, default: 0.35 }, // Chance of a chunk holding a generated lake
+    lakeMinSize: { type: 'number', min: 1, default: 20.0 }, // Smallest generated lake radius
+    lakeMaxSize: { type: 'number', min: 1, max: CHUNK_SIZE / 2, default: 60.0 }, // Largest generated lake radius
+    // Lakes placed by hand; a chunk holding one gets no generated lake
+    lakes: {
+      type: 'array',
+      default: [],
+      items: {
+        points: { type: 'array', items: POINT_SCHEMA } // Shoreline, in order around the lake
+      }
+    },
+    // Rivers placed by hand, flowing from their first point to their last
+    rivers: {
+      type: 'array',
+      default: [],
+      items: {
+        points: { type: 'array', items: POINT_SCHEMA }, // Course the river curves smoothly through
+        width: { type: 'number', min: 1, default: 12.0 }, // Width at the waterline
+        depth: { type: 'number', min: 0, default: 2.5 }, // Depth in mid-stream
+        flow: { type: 'number', min: 0, default: 3.0 } // Current in mid-stream, in units per second
+      }
+    }
+  },
+  forest: {
+    treesPerChunk: { type: 'integer', min: 0, max: 500, default: 16 }, // Trees generated in each chunk
+    undergrowthPerChunk: { type: 'integer', min: 0, max: 1000, default: 24 }, // Bushes, grass, rocks and the like generated in each chunk
+    biomeScale: { type: 'number', min: 0, default: 0.004 } // Lower values give larger patches of birch grove and mixed woodland
+  },
+  wind: {
+    strength: { type: 'number', min: 0, default: 0.5 }, // Wind strength for leaf movement in clear weather
+    speed: { type: 'number', min: 0, default: 0.8 } // Wind speed for animation in clear weather
+  },
+  physics: {
+    gravity: { type: 'number', min: 0, default: 30.0 },
+    jumpForce: { type: 'number', min: 0, default: 10.0 },
+    swimDepth: { type: 'number', min: 0, default: 1.2 }, // Water deeper than this must be swum
+    wadingSpeedFactor: { type: 'number', min: 0, max: 1, default: 0.5 }, // Speed multiplier in shallow water
+    swimmingSpeedFactor: { type: 'number', min: 0, max: 1, default: 0.35 } // Speed multiplier in deep water
+  }
+};
+
+/**
+ * Fetch a world config file and validate it
+ * @param {string} url - Path or URL of the JSON file
+ * @returns {Promise<Object>} - Complete, validated config
+ */
+export async function loadWorldConfig(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load world config ${url}: ${response.status} ${response.statusText}`);
+  }
+
+  let config;
+  try {
+    config = await response.json();
+  } catch (error) {
+    throw new Error(`World config ${url} is not valid JSON: ${error.message}`);
+  }
+  return validateWorldConfig(config, url);
+}
+
+/**
+ * Check a world config against the schema and fill in defaults
+ * Every problem is reported at once, each with the path of the setting at fault.
+ * @param {Object} config - Config as parsed from JSON
+ * @param {string} [source] - Where the config came from, for error messages
+ * @returns {Object} - Complete config; the input is not changed
+ */
+export function validateWorldConfig(config, source = 'world config') {
+  const errors = [];
+  const result = readSection(config, WORLD_CONFIG_SCHEMA, '', errors);
+
+  // Settings that are only valid together
+  if (errors.length === 0) {
+    const water = result.water;
+    if (water.lakeMinSize > water.lakeMaxSize) {
+      errors.push(`water.lakeMinSize (${water.lakeMinSize}) must not be larger than water.lakeMaxSize (${water.lakeMaxSize})`);
+    }
+    water.lakes.forEach((lake, index) => {
+      if (lake.points.length < 3) {
+        errors.push(`water.lakes[${index}].points must hold at least 3 points`);
+        return;
+      }
+      const xs = lake.points.map((point) => Math.floor(point.x / CHUNK_SIZE));
+      const zs = lake.points.map((point) => Math.floor(point.z / CHUNK_SIZE));
+      if (Math.min(...xs) !== Math.max(...xs) || Math.min(...zs) !== Math.max(...zs)) {
+        errors.push(`water.lakes[${index}] must lie within a single ${CHUNK_SIZE}-unit chunk`);
+      }
+    });
+    water.rivers.forEach((river, index) => {
+      if (river.points.length < 2) {
+        errors.push(`water.rivers[${index}].points must hold at least 2 points`);
+        return;
+      }
+      const clearance = result.terrain.spawnClearance + river.width / 2;
+      for (let i = 1; i < river.points.length; i++) {
+        if (getSegmentDistance(river.points[i - 1], river.points[i]) < clearance) {
+          errors.push(`water.rivers[${index}] must keep ${clearance} units away from the spawn point`);
+          break;
+        }
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid ${source}:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+  }
+  return result;
+}
+
+/**
+ * Get the config used when no file is given
+ * @returns {Object} - Config with every setting at its default
+ */
+export function getDefaultWorldConfig() {
+  return validateWorldConfig({});
+}
+
+/**
+ * Measure how close a straight line between two points passes to the spawn point
+ * @param {Object} a - Start point with x and z
+ * @param {Object} b - End point with x and z
+ * @returns {number} - Distance from the origin
+ */
+function getSegmentDistance(a, b) {
+  const dx = b.x - a.x;
+  const dz = b.z - a.z;
+  const lengthSq = dx * dx + dz * dz;
+  const t = lengthSq > 0 ? Math.max(0, Math.min(1, -(a.x * dx + a.z * dz) / lengthSq)) : 0;
+  return Math.hypot(a.x + dx * t, a.z + dz * t);
+}
+
+/**
+ * Read one object of settings, reporting unknown, missing and out of range values
+ * @param {*} value - Object to read
+ * @param {Object} schema - Setting descriptions by name
+ * @param {string} path - Path of the object, for error messages
+ * @param {Array<string>} errors - Problems found so far
+ * @returns {Object} - Settings with defaults filled in
+ */
+function readSection(value, schema, path, errors) {
+  const result = {};
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    errors.push(`${path.replace(/\.$/, '') || 'config'} must be an object`);
+    value = {};
+  }
+
+  // Unknown names are usually typos, which would otherwise be silently ignored
+  for (const name of Object.keys(value)) {
+    if (!schema[name]) {
+      errors.push(`${path}${name} is not a known setting`);
+    }
+  }
+
+  for (const [name, rule] of Object.entries(schema)) {
+    const settingPath = `${path}${name}`;
+    if (!rule.type) {
+      result[name] = readSection(value[name] ?? {}, rule, `${settingPath}.`, errors);
+    } else if (value[name] === undefined) {
+      if (rule.default === undefined) {
+        errors.push(`${settingPath} is required`);
+      }
+      result[name] = structuredClone(rule.default);
+    } else {
+      result[name] = readSetting(value[name], rule, settingPath, errors);
+    }
+  }
+  return result;
+}
+
+/**
+ * Read one setting
+ * @param {*} value - Value from the config
+ * @param {Object} rule - Type and range of the setting
+ * @param {string} path - Path of the setting, for error messages
+ * @param {Array<string>} errors - Problems found so far
+ * @returns {*} - The value, with defaults filled in for array items
+ */
+function readSetting(value, rule, path, errors) {
+  if (rule.type === 'array') {
+    if (!Array.isArray(value)) {
+      errors.push(`${path} must be an array`);
+      return [];
+    }
+    return value.map((item, index) => readSection(item, rule.items, `${path}[${index}].`, errors));
+  }
+
+  const isNumber = typeof value === 'number' && Number.isFinite(value);
+  if (!isNumber || (rule.type === 'integer' && !Number.isInteger(value))) {
+    errors.push(`${path} must be ${rule.type === 'integer' ? 'a whole number' : 'a number'} (got ${JSON.stringify(value)})`);
+  } else if (rule.min !== undefined && value < rule.min) {
+    errors.push(`${path} must be at least ${rule.min} (got ${value})`);
+  } else if (rule.max !== undefined && value > rule.max) {
+    errors.push(`${path} must be at most ${rule.max} (got ${value})`);
+  }
+  return value;
+}
@@ -1,10 +1,42 @@
 // Constants for the forest environment
-export const WORLD_SIZE = 1000;
-export const TREE_COUNT = 400; // Increased tree count for denser forest
-export const UNDERGROWTH_COUNT = 600; // Add undergrowth for more density
+export const CHUNK_SIZE = 200; // Width of one square world chunk
 export const CHARACTER_SPEED = 150.0;
 export const CHARACTER_HEIGHT = 1.7;
-export const GRAVITY = 30.0;
-export const JUMP_FORCE = 10.0;
-export const WIND_STRENGTH = 0.5; // Wind strength for leaf movement
-export const WIND_SPEED = 0.8; // Wind speed for animation
+export const CHUNK_LOAD_RADIUS = 2; // Chunks this many steps from the player's chunk are loaded
+export const CHUNK_UNLOAD_RADIUS = 3; // Chunks further than this many steps are removed
+export const CHUNKS_PER_FRAME = 1; // Chunks generated per frame while streaming
+export const COLLISION_CELL_SIZE = 10.0; // Spatial grid cell size for collision queries
+export const CHARACTER_RADIUS = 1.0; // Collision radius of the character
+export const ECHO_RANGE = 60.0; // Trees further away than this do not echo
+export const MASTER_VOLUME = 0.8; // Default master audio volume (0 to 1)
+export const START_TIME_OF_DAY = 10.0; // Hours since midnight when the game starts
+export const DAY_TIME_SCALE = 24 / (20 * 60); // In-game hours per real second (20 minute days)
+export const WEATHER_TRANSITION_TIME = 20.0; // Seconds to blend between weather states
+export const RAIN_DROP_COUNT = 4000; // Rain streaks at full storm intensity
+export const LOD_NEAR_DISTANCE = 60.0; // Trees closer than this are drawn in full detail
+export const LOD_MID_DISTANCE = 160.0; // Trees closer than this are drawn simplified
+export const LOD_FAR_DISTANCE = 450.0; // Trees closer than this are drawn as impostors, further ones are culled
+export const UNDERGROWTH_DRAW_DISTANCE = 120.0; // Undergrowth further than this is culled
+export const LOD_UPDATE_DISTANCE = 4.0; // How far the camera moves before detail levels are re-chosen
+export const WIND_ANIMATION_RADIUS = 120.0; // Objects further than this from the character do not sway
+export const GAMEPAD_DEAD_ZONE = 0.15; // Stick deflection ignored around the centre (0 to 1)
+export const GAMEPAD_MOVE_SENSITIVITY = 1.0; // Multiplier on left stick movement and turning
+export const GAMEPAD_LOOK_SENSITIVITY = 2.5; // Camera orbit speed at full right stick (radians per second)
+export const MOUSE_SENSITIVITY = 0.002; // Camera orbit per pixel of mouse movement (radians)
+export const CAMERA_DISTANCE = 4.0; // Default distance of the camera behind the character
+export const CAMERA_MIN_DISTANCE = 2.0; // Closest the scroll wheel can zoom in
+export const CAMERA_MAX_DISTANCE = 12.0; // Furthest the scroll wheel can zoom out
+export const SIMULATION_TIMESTEP = 1 / 60; // Length of one fixed physics step (seconds)
+export const MAX_FRAME_TIME = 0.25; // Longest frame simulated in full; slower frames run in slow motion
+export const SPRINT_SPEED_FACTOR = 1.6; // Speed multiplier while sprinting
+export const CROUCH_SPEED_FACTOR = 0.4; // Speed multiplier while crouching
+export const ACCELERATION_TIME = 0.3; // Seconds to reach walking speed from a standstill
+export const DECELERATION_TIME = 0.15; // Seconds to stop from walking speed
+export const STAMINA_DRAIN_TIME = 5.0; // Seconds of sprinting on full stamina
+export const STAMINA_RECOVERY_TIME = 8.0; // Seconds to refill stamina from empty
+export const SPRINT_RECOVERY_STAMINA = 0.3; // Stamina needed to sprint again after running out (0 to 1)
+export const CROUCH_CAMERA_DROP = 0.6; // How far the camera lowers when crouching
+export const CROUCH_TRANSITION_TIME = 0.2; // Seconds to crouch down or stand up
+export const BREATH_TIME = 20.0; // Seconds the character can stay under water on a full breath
+export const BREATH_RECOVERY_TIME = 4.0; // Seconds at the surface to get a full breath back from empty
+export const DIVE_RECOVERY_BREATH = 0.3; // Breath needed to dive again after running out (0 to 1)
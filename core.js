@@ -1,27 +1,62 @@
 // Core setup and animation loop
 import * as THREE from 'three';
-import { createLighting, createSky, createGround, createWater } from './environment.js';
-import { createForest, createUndergrowth, trees, leafGroups, undergrowth } from './forest.js';
-import { loadCharacter, character, mixer, movementState, updateThirdPersonCamera, updateCharacterRotation, animateCharacterWalking } from './character.js';
-import { checkTreeCollisions, isInWater } from './physics.js';
-import { animateWind } from './animation.js';
-import { WORLD_SIZE, CHARACTER_HEIGHT, GRAVITY, WIND_STRENGTH, WIND_SPEED, CHARACTER_SPEED, JUMP_FORCE } from './constants.js';
+import { createLighting, createSky, createStars, createWater } from './environment.js';
+import { initForest, updateForestLOD } from './forest.js';
+import { initWorld, updateWorld } from './world.js';
+import { advanceSimulation, resetSimulation, collisionState, jump } from './simulation.js';
+import { configurePhysics } from './physics.js';
+import { getDefaultWorldConfig } from './config.js';
+import { saveGame, loadGame, exportSaveFile, importSaveFile } from './savegame.js';
+import { initControls, loadCharacter, character, movementState, cameraOrbit, updateThirdPersonCamera, updateFirstPersonCamera, animateCharacter, orbitCamera, zoomCamera, setCameraSteering, setCameraMode, getCameraMode } from './character.js';
+import { animateWind, getWindState } from './animation.js';
+import { shout } from './shout.js';
+import { initInput, isActionHeld, wasActionPressed, clearPressedActions } from './input.js';
+import { updateGamepad } from './gamepad.js';
+import { isTouchDevice, initTouchControls, updateTouchControls } from './touch.js';
+import { initAudio, updateAudio, playFootstep, toggleMute, setMasterVolume, getMasterVolume } from './audio.js';
+import { setSeed, getSeed } from './random.js';
+import { generateTerrain } from './terrain.js';
+import { generateWater } from './water.js';
+import { generateBiomes } from './biome.js';
+import { initDayCycle, updateDayCycle, setTimeOfDay, setTimeScale, setCloudCover } from './daycycle.js';
+import { initWeather, updateWeather, getWeatherParams, setWeather } from './weather.js';
+import { CHARACTER_HEIGHT, MOUSE_SENSITIVITY } from './constants.js';
 
 // Main variables
 let camera, scene, renderer;
 let clock = new THREE.Clock();
-let prevTime = performance.now();
-let direction = new THREE.Vector3();
 let waterSurface;
 let loadingManager;
 let isPointerLocked = false;
 let mouseX = 0;
 let mouseY = 0;
+let staminaBar, staminaFill, breathBar, breathFill;
+
+// Save slot written when the page is closed and loaded on the next visit
+const AUTOSAVE_SLOT = 'autosave';
 
 /**
  * Initialize the scene
+ * @param {Object} [options] - Initialization options
+ * @param {Object} [options.config] - Validated world config (see config.js), defaults when left out
+ * @param {number|string} [options.seed] - World seed, overridden by a ?seed= URL parameter
+ * @param {number} [options.timeOfDay] - Starting time of day in hours
+ * @param {number} [options.timeScale] - In-game hours that pass per real second
+ * @param {string} [options.weather] - Starting weather (clear, overcast, rain or storm)
+ * @param {boolean} [options.cameraSteering] - Walk towards where the camera looks instead of where the character faces
+ * @param {string} [options.cameraMode] - Start in 'third' or 'first' person
+ * @param {boolean} [options.resume] - Carry on from where the last visit left off, unless a seed is given
  */
-export function init() {
+export function init(options = {}) {
+  // Seed the world generators so the same seed always builds the same forest
+  const config = options.config || getDefaultWorldConfig();
+  setSeed(resolveSeed(options.seed));
+  showSeed();
+  generateWater(config);
+  generateTerrain(config);
+  generateBiomes(config);
+  configurePhysics(config);
+
   // Create loading manager
   loadingManager = new THREE.LoadingManager();
   loadingManager.onLoad = () => {
@@ -46,37 +81,131 @@ export function init() {
   renderer.toneMapping = THREE.ACESFilmicToneMapping;
   renderer.toneMappingExposure = 0.5;
   document.getElementById('container').appendChild(renderer.domElement);
+  staminaBar = document.getElementById('stamina');
+  staminaFill = document.getElementById('stamina-fill');
+  breathBar = document.getElementById('breath');
+  breathFill = document.getElementById('breath-fill');
 
-  // Add key event listeners for character movement
-  document.addEventListener('keydown', onKeyDown);
-  document.addEventListener('keyup', onKeyUp);
+  // Listen to the keyboard through the remappable action bindings
+  initInput();
+  if (options.cameraSteering !== undefined) setCameraSteering(options.cameraSteering);
+  if (options.cameraMode !== undefined) setCameraMode(options.cameraMode);
 
-  // Add click event listener to lock pointer
   const container = document.getElementById('container');
   const canvas = renderer.domElement;
-  container.addEventListener('click', () => {
-    canvas.requestPointerLock();
-  });
 
-  // Add pointer lock change event listeners
-  document.addEventListener('pointerlockchange', onPointerLockChange);
+  // Turns the first-person view, with the mouse while the pointer is locked
+  initControls(camera, canvas);
+
+  if (isTouchDevice()) {
+    // Phones and tablets have no pointer lock: use on-screen controls instead
+    initTouchControls(container);
+  } else {
+    // Add click event listener to lock pointer
+    container.addEventListener('click', () => {
+      canvas.requestPointerLock();
+    });
 
-  // Auto-lock pointer on page load for testing
-  setTimeout(() => {
-    canvas.requestPointerLock();
-  }, 1000);
+    // Add pointer lock change event listeners
+    document.addEventListener('pointerlockchange', onPointerLockChange);
+
+    // Scroll to zoom the camera in and out
+    canvas.addEventListener('wheel', onMouseWheel, { passive: false });
+
+    // Auto-lock pointer on page load for testing
+    setTimeout(() => {
+      canvas.requestPointerLock();
+    }, 1000);
+  }
 
   // Add window resize listener
   window.addEventListener('resize', onWindowResize);
 
+  // Keep the game between visits, and load save files dropped onto the page
+  window.addEventListener('pagehide', () => runSaveAction(() => saveGame(AUTOSAVE_SLOT)));
+  container.addEventListener('dragover', (event) => event.preventDefault());
+  container.addEventListener('drop', onSaveFileDrop);
+
   // Create the environment
-  createLighting(scene);
-  createSky(scene);
-  createGround(scene, loadingManager);
-  waterSurface = createWater(scene);
-  createForest(scene);
-  createUndergrowth(scene);
+  const lights = createLighting(scene);
+  const sky = createSky(scene);
+  const stars = createStars(scene);
+  waterSurface = createWater(scene, config);
+
+  // Drive the sky, lights and fog from the time of day
+  if (options.timeOfDay !== undefined) setTimeOfDay(options.timeOfDay);
+  if (options.timeScale !== undefined) setTimeScale(options.timeScale);
+  initDayCycle({ scene, renderer, sky, lights, stars, waterSurface });
+
+  // Weather drives fog density, rain, water ripples and the wind
+  initWeather(scene, waterSurface, config);
+  if (options.weather !== undefined) setWeather(options.weather, 0);
+
+  // Generate the chunks around the spawn point up front; the rest stream in as the character moves
+  initForest(scene);
+  initWorld(scene, waterSurface, loadingManager, config);
+  updateWorld(new THREE.Vector3(0, 0, 0), Infinity);
   loadCharacter(scene, loadingManager);
+  resetSimulation();
+
+  // Pick up where the last visit left off, unless a particular world was asked for
+  const seedRequested = options.seed !== undefined || new URLSearchParams(window.location.search).has('seed');
+  if (options.resume !== false && !seedRequested) {
+    runSaveAction(() => loadGame(AUTOSAVE_SLOT));
+  }
+
+  // Start ambient audio, heard from the camera
+  initAudio(camera, scene);
+}
+
+/**
+ * Show the world seed on the info screen
+ */
+function showSeed() {
+  document.getElementById('seed-info').textContent = `World seed: ${getSeed()}`;
+}
+
+/**
+ * Save or load the game, reporting failures instead of stopping the game
+ * @param {Function} action - Saves or loads
+ */
+function runSaveAction(action) {
+  try {
+    action();
+    showSeed();
+  } catch (error) {
+    console.warn('Save or load failed:', error);
+  }
+}
+
+/**
+ * Load a save file dropped onto the page
+ * @param {DragEvent} event - The drop event
+ */
+function onSaveFileDrop(event) {
+  event.preventDefault();
+  const file = event.dataTransfer.files[0];
+  if (!file) return;
+
+  importSaveFile(file)
+    .then(showSeed)
+    .catch((error) => console.warn('Could not load save file:', error));
+}
+
+/**
+ * Pick the world seed from the URL, the init options or a fresh random value
+ * @param {number|string} [optionSeed] - Seed passed to init()
+ * @returns {number|string} - The seed to use
+ */
+function resolveSeed(optionSeed) {
+  const urlSeed = new URLSearchParams(window.location.search).get('seed');
+  if (urlSeed !== null && urlSeed !== '') {
+    return /^\d+$/.test(urlSeed) ? Number(urlSeed) : urlSeed;
+  }
+  if (optionSeed !== undefined) {
+    return optionSeed;
+  }
+  return Math.floor(Math.random() * 4294967296);
 }
 
 /**
@@ -111,66 +240,83 @@ function onPointerLockChange() {
 function onMouseMove(event) {
   if (!isPointerLocked) return;
 
-  // Update mouse position for camera rotation
-  mouseX += event.movementX * 0.002;
+  // Collect mouse movement for camera rotation, applied once per frame
+  mouseX += event.movementX * MOUSE_SENSITIVITY;
+  mouseY += event.movementY * MOUSE_SENSITIVITY;
 }
 
 /**
- * Handle key down events
- * @param {KeyboardEvent} event - The keyboard event
+ * Handle scroll wheel zoom
+ * @param {WheelEvent} event - The wheel event
  */
-function onKeyDown(event) {
-  // Process key events even if pointer is not locked
-  switch (event.code) {
-    case 'ArrowUp':
-    case 'KeyW':
-      movementState.moveForward = true;
-      break;
-    case 'ArrowLeft':
-    case 'KeyA':
-      movementState.turnLeft = true;
-      break;
-    case 'ArrowDown':
-    case 'KeyS':
-      movementState.moveBackward = true;
-      break;
-    case 'ArrowRight':
-    case 'KeyD':
-      movementState.turnRight = true;
-      break;
-    case 'Space':
-      if (movementState.canJump) {
-        movementState.velocity.y = JUMP_FORCE;
-      }
-      movementState.canJump = false;
-      break;
-  }
+function onMouseWheel(event) {
+  event.preventDefault();
+  zoomCamera(Math.exp(event.deltaY * 0.001));
 }
 
 /**
- * Handle key up events
- * @param {KeyboardEvent} event - The keyboard event
+ * Turn this frame's input actions into movement and game events
+ * @param {number} delta - Time delta in seconds
  */
-function onKeyUp(event) {
-  // Process key events even if pointer is not locked
-  switch (event.code) {
-    case 'ArrowUp':
-    case 'KeyW':
-      movementState.moveForward = false;
-      break;
-    case 'ArrowLeft':
-    case 'KeyA':
-      movementState.turnLeft = false;
-      break;
-    case 'ArrowDown':
-    case 'KeyS':
-      movementState.moveBackward = false;
-      break;
-    case 'ArrowRight':
-    case 'KeyD':
-      movementState.turnRight = false;
-      break;
+function handleInput(delta) {
+  // Gamepad sticks and the touch joystick add up to the analog movement;
+  // their buttons feed the same actions as the keyboard
+  movementState.forward = 0;
+  movementState.turn = 0;
+  updateGamepad(delta);
+  updateTouchControls();
+
+  // Mouse movement orbits the camera: right looks right, down looks down
+  // (in first person the pointer lock controls turn the view themselves)
+  if (getCameraMode() === 'third') {
+    orbitCamera(-mouseX, mouseY);
+  }
+  mouseX = 0;
+  mouseY = 0;
+
+  movementState.moveForward = isActionHeld('forward');
+  movementState.moveBackward = isActionHeld('back');
+  movementState.turnLeft = isActionHeld('turnLeft');
+  movementState.turnRight = isActionHeld('turnRight');
+  movementState.strafeLeft = isActionHeld('strafeLeft');
+  movementState.strafeRight = isActionHeld('strafeRight');
+  movementState.sprint = isActionHeld('sprint');
+  movementState.crouch = isActionHeld('crouch');
+  movementState.swimUp = isActionHeld('jump');
+
+  if (wasActionPressed('jump')) {
+    jump();
+  }
+
+  if (wasActionPressed('shout') && character) {
+    shout(character.position, character.rotation.y);
+  }
+  if (wasActionPressed('cameraSteering')) {
+    setCameraSteering(!cameraOrbit.steerCharacter);
+  }
+  if (wasActionPressed('cameraMode')) {
+    setCameraMode(getCameraMode() === 'third' ? 'first' : 'third');
+  }
+  if (wasActionPressed('quickSave')) {
+    runSaveAction(() => saveGame());
+  }
+  if (wasActionPressed('quickLoad')) {
+    runSaveAction(() => loadGame());
+  }
+  if (wasActionPressed('exportSave')) {
+    runSaveAction(exportSaveFile);
+  }
+  if (wasActionPressed('mute')) {
+    toggleMute();
+  }
+  if (wasActionPressed('volumeDown')) {
+    setMasterVolume(getMasterVolume() - 0.1);
+  }
+  if (wasActionPressed('volumeUp')) {
+    setMasterVolume(getMasterVolume() + 0.1);
   }
+
+  clearPressedActions();
 }
 
 /**
@@ -181,85 +327,53 @@ function animate() {
 
   const delta = clock.getDelta();
 
-  // Animate wind effect on leaves
-  animateWind(delta, leafGroups, undergrowth, WIND_STRENGTH, WIND_SPEED);
+  // Apply keyboard and gamepad input before anything moves
+  handleInput(delta);
+
+  // Advance the weather, then the time of day under its cloud cover
+  updateWeather(delta, camera.position);
+  const weather = getWeatherParams();
+  setCloudCover(weather.cloudCover);
+  updateDayCycle(delta, camera.position);
+
+  // Animate wind effect on trees, leaves and undergrowth close to the character
+  animateWind(delta, weather.windStrength, weather.windSpeed, character ? character.position : camera.position);
 
   // Update water if it exists
   if (waterSurface) {
-    waterSurface.material.uniforms['time'].value += 1.0 / 60.0;
-  }
-
-  // Update character animation mixer if it exists
-  if (mixer) {
-    mixer.update(delta);
+    waterSurface.material.uniforms['time'].value += delta;
   }
 
   // Handle character movement
   if (character) { // Process character movement even if pointer is not locked
-    const time = performance.now();
-    const moveDelta = (time - prevTime) / 1000;
-
-    // Apply gravity
-    movementState.velocity.y -= GRAVITY * moveDelta;
-
-    // Reset velocity for horizontal movement
-    movementState.velocity.x = 0;
-    movementState.velocity.z = 0;
-
-    // Get movement direction - only forward/backward now
-    direction.z = Number(movementState.moveForward) - Number(movementState.moveBackward);
-    direction.x = 0; // No more left/right movement, only rotation
-
-    // Only normalize if we're actually moving
-    if (direction.z !== 0) {
-      direction.normalize();
-
-      // Calculate movement speed (slower in water)
-      let speed = CHARACTER_SPEED;
-      if (isInWater(character.position, waterSurface, WORLD_SIZE)) {
-        speed *= 0.5;
-      }
-
-      // Calculate movement velocity based on character's rotation
-      const angle = character.rotation.y;
-      movementState.velocity.x = Math.sin(angle) * direction.z * speed * moveDelta;
-      movementState.velocity.z = Math.cos(angle) * direction.z * speed * moveDelta;
-    }
-
-    // Update character rotation based on turn state
-    updateCharacterRotation(delta);
+    // Move in fixed steps, then draw the character between the last two of them
+    advanceSimulation(delta);
 
-    // Animate character walking
-    animateCharacterWalking(delta, direction);
-
-    // Move character using the calculated velocity
-    character.position.x += movementState.velocity.x;
-    character.position.z += movementState.velocity.z;
-
-    // Apply gravity to character position
-    character.position.y += movementState.velocity.y * moveDelta;
+    // Animate the character, with a footstep sound on each footfall
+    if (animateCharacter(delta, collisionState)) {
+      playFootstep(collisionState.medium);
+    }
 
-    // Check for collisions with trees
-    checkTreeCollisions(character.position, 1.0, trees);
+    // Update camera position to follow character
+    if (getCameraMode() === 'first') {
+      updateFirstPersonCamera(camera, character.position);
+    } else {
+      updateThirdPersonCamera(camera, character.position, delta);
+    }
 
-    // Keep character within world bounds
-    const worldHalfSize = WORLD_SIZE / 2;
-    if (character.position.x < -worldHalfSize) character.position.x = -worldHalfSize;
-    if (character.position.x > worldHalfSize) character.position.x = worldHalfSize;
-    if (character.position.z < -worldHalfSize) character.position.z = -worldHalfSize;
-    if (character.position.z > worldHalfSize) character.position.z = worldHalfSize;
+    // Pick forest detail levels around the new camera position
+    updateForestLOD(camera.position);
 
-    // Check if character is on the ground
-    if (character.position.y < CHARACTER_HEIGHT / 2) {
-      movementState.velocity.y = 0;
-      character.position.y = CHARACTER_HEIGHT / 2;
-      movementState.canJump = true;
-    }
+    // Keep ambient sounds in step with the wind and the listener
+    updateAudio(getWindState(), character.position);
 
-    // Update camera position to follow character
-    updateThirdPersonCamera(camera, character.position);
+    // Show the stamina bar only while sprinting has used some up
+    staminaFill.style.width = `${movementState.stamina * 100}%`;
+    staminaBar.classList.toggle('hidden', movementState.stamina >= 1);
 
-    prevTime = time;
+    // And the breath bar only while diving has used some up
+    breathFill.style.width = `${movementState.breath * 100}%`;
+    breathBar.classList.toggle('hidden', movementState.breath >= 1);
   }
 
   // Render scene
@@ -0,0 +1,162 @@
+// Time of day: sun and moon movement, light colours, fog and exposure
+import * as THREE from 'three';
+import { START_TIME_OF_DAY, DAY_TIME_SCALE } from './constants.js';
+
+// Colours blended through the day
+const DAY_FOG = new THREE.Color(0xc4e0f9);
+const DUSK_FOG = new THREE.Color(0xd8a07a);
+const NIGHT_FOG = new THREE.Color(0x0b1424);
+const DAY_AMBIENT = new THREE.Color(0x90a0b0);
+const NIGHT_AMBIENT = new THREE.Color(0x1c2840);
+const NOON_SUN = new THREE.Color(0xffffeb);
+const LOW_SUN = new THREE.Color(0xffa060);
+const OVERCAST_FOG = new THREE.Color(0x8d969e);
+const cloudyFog = new THREE.Color();
+
+// Highest elevation the sun reaches at noon (degrees)
+const MAX_SUN_ELEVATION = 70;
+// Distance of the directional lights from their target
+const LIGHT_DISTANCE = 150;
+
+let timeOfDay = START_TIME_OF_DAY;
+let timeScale = DAY_TIME_SCALE;
+let cloudCover = 0;
+let world = null;
+const sunDirection = new THREE.Vector3();
+
+/**
+ * Hook the day/night cycle up to the scene objects it drives
+ * @param {Object} options - Scene objects
+ * @param {THREE.Scene} options.scene - Scene whose fog is tinted
+ * @param {THREE.WebGLRenderer} options.renderer - Renderer whose exposure is adjusted
+ * @param {Sky} options.sky - Sky mesh
+ * @param {Object} options.lights - Ambient, sun and moon lights from createLighting
+ * @param {THREE.Points} options.stars - Star field from createStars
+ * @param {THREE.Mesh} [options.waterSurface] - Water whose sun reflection follows the sun
+ */
+export function initDayCycle(options) {
+  world = options;
+  applyTimeOfDay();
+}
+
+/**
+ * Advance the clock and update the sky
+ * @param {number} delta - Real time elapsed in seconds
+ * @param {THREE.Vector3} [focus] - Point the sky, lights and stars should centre on
+ */
+export function updateDayCycle(delta, focus) {
+  timeOfDay = (timeOfDay + delta * timeScale) % 24;
+
+  if (world && focus) {
+    // Keep the sky, star dome and shadow-casting area around the viewer
+    world.stars.position.copy(focus);
+    world.sky.position.copy(focus);
+    world.lights.sunLight.target.position.set(focus.x, 0, focus.z);
+    world.lights.moonLight.target.position.set(focus.x, 0, focus.z);
+  }
+
+  applyTimeOfDay();
+}
+
+/**
+ * Set the time of day
+ * @param {number} hours - Hours since midnight (0 to 24)
+ */
+export function setTimeOfDay(hours) {
+  timeOfDay = ((hours % 24) + 24) % 24;
+  applyTimeOfDay();
+}
+
+/**
+ * Get the time of day
+ * @returns {number} - Hours since midnight
+ */
+export function getTimeOfDay() {
+  return timeOfDay;
+}
+
+/**
+ * Set how fast time passes
+ * @param {number} scale - In-game hours per real second (0 pauses the clock)
+ */
+export function setTimeScale(scale) {
+  timeScale = scale;
+}
+
+/**
+ * Get how fast time passes
+ * @returns {number} - In-game hours per real second
+ */
+export function getTimeScale() {
+  return timeScale;
+}
+
+/**
+ * Set how much of the sky is covered by cloud
+ * @param {number} cover - Cloud cover from 0 (clear) to 1 (fully overcast)
+ */
+export function setCloudCover(cover) {
+  cloudCover = THREE.MathUtils.clamp(cover, 0, 1);
+}
+
+/**
+ * Get the direction towards the sun
+ * @returns {THREE.Vector3} - Unit vector pointing at the sun
+ */
+export function getSunDirection() {
+  return sunDirection;
+}
+
+/**
+ * Push the current time of day into the sky, lights, fog and renderer
+ */
+function applyTimeOfDay() {
+  if (!world) return;
+
+  // Sun rises in the east at 6:00, peaks at noon and sets at 18:00
+  const dayAngle = ((timeOfDay - 6) / 24) * Math.PI * 2;
+  const elevation = Math.sin(dayAngle) * MAX_SUN_ELEVATION;
+  const azimuth = 90 + ((timeOfDay - 6) / 12) * 180;
+  sunDirection.setFromSphericalCoords(
+    1,
+    THREE.MathUtils.degToRad(90 - elevation),
+    THREE.MathUtils.degToRad(azimuth)
+  );
+
+  // 0 at night, 1 in full daylight, with a short twilight in between
+  const daylight = THREE.MathUtils.smoothstep(elevation, -6, 10);
+  // Peaks while the sun is close to the horizon
+  const dusk = daylight * (1 - THREE.MathUtils.smoothstep(elevation, 0, 20));
+
+  const { scene, renderer, sky, lights, stars, waterSurface } = world;
+
+  // Sky and water reflections follow the sun; clouds make the sky hazier
+  sky.material.uniforms['sunPosition'].value.copy(sunDirection);
+  sky.material.uniforms['turbidity'].value = 10 + cloudCover * 10;
+  if (waterSurface) {
+    waterSurface.material.uniforms['sunDirection'].value.copy(sunDirection);
+  }
+
+  // Sunlight warms up near the horizon and fades out at night
+  const sunTarget = lights.sunLight.target.position;
+  lights.sunLight.position.copy(sunTarget).addScaledVector(sunDirection, LIGHT_DISTANCE);
+  lights.sunLight.intensity = 1.5 * daylight * (1 - 0.7 * cloudCover);
+  lights.sunLight.color.copy(LOW_SUN).lerp(NOON_SUN, THREE.MathUtils.smoothstep(elevation, 0, 25));
+
+  // Moon sits opposite the sun
+  const moonTarget = lights.moonLight.target.position;
+  lights.moonLight.position.copy(moonTarget).addScaledVector(sunDirection, -LIGHT_DISTANCE);
+  lights.moonLight.intensity = 0.35 * (1 - daylight) * (1 - 0.8 * cloudCover);
+
+  lights.ambientLight.color.copy(NIGHT_AMBIENT).lerp(DAY_AMBIENT, daylight);
+  lights.ambientLight.intensity = 0.4 + 0.6 * daylight;
+
+  // Fog and exposure, greyed and dimmed under cloud
+  cloudyFog.copy(NIGHT_FOG).lerp(OVERCAST_FOG, daylight);
+  scene.fog.color.copy(NIGHT_FOG).lerp(DAY_FOG, daylight).lerp(DUSK_FOG, dusk * 0.6).lerp(cloudyFog, cloudCover * 0.8);
+  renderer.toneMappingExposure = (0.3 + 0.2 * daylight) * (1 - 0.25 * cloudCover);
+
+  // Stars come out once the sun is down, unless clouds hide them
+  stars.material.opacity = (1 - daylight) * (1 - cloudCover);
+  stars.visible = daylight < 1;
+}
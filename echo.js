@@ -0,0 +1,107 @@
+// Echo timing and attenuation, independent of any audio hardware
+
+// Speed of sound in air (metres per second)
+export const SPEED_OF_SOUND = 343;
+
+// How strongly each kind of surface reflects sound back
+const TREE_REFLECTIVITY = 0.12;
+const WATER_REFLECTIVITY = 0.8;
+
+// High-frequency loss in air, per metre travelled
+const AIR_ABSORPTION = 0.004;
+
+/**
+ * Get the stereo pan of a point relative to the listener's heading
+ * @param {Object} listener - Listener with x, z and heading (radians)
+ * @param {number} x - Point x
+ * @param {number} z - Point z
+ * @returns {number} - Pan from -1 (left) to 1 (right)
+ */
+function panTowards(listener, x, z) {
+  const dx = x - listener.x;
+  const dz = z - listener.z;
+  const length = Math.sqrt(dx * dx + dz * dz);
+  if (length === 0) return 0;
+
+  // Right-hand vector for a character facing (sin heading, cos heading)
+  const rightX = -Math.cos(listener.heading);
+  const rightZ = Math.sin(listener.heading);
+  return (dx * rightX + dz * rightZ) / length;
+}
+
+/**
+ * Turn trees into echo reflectors
+ * @param {Object} listener - Listener with x, z and heading (radians)
+ * @param {Array} trees - Objects with x, z and radius properties
+ * @returns {Array} - Reflectors with distance, pan and reflectivity
+ */
+export function createTreeReflectors(listener, trees) {
+  return trees.map((tree) => {
+    const dx = tree.x - listener.x;
+    const dz = tree.z - listener.z;
+
+    return {
+      distance: Math.max(0.5, Math.sqrt(dx * dx + dz * dz) - tree.radius),
+      pan: panTowards(listener, tree.x, tree.z),
+      // Thicker trunks give a stronger reflection
+      reflectivity: TREE_REFLECTIVITY * Math.min(1.5, tree.radius / 0.7)
+    };
+  });
+}
+
+/**
+ * Turn a stretch of water into an echo reflector at its nearest shoreline
+ * On land the open water reflects from its closest point; on the water the nearest bank throws the call back.
+ * @param {Object} listener - Listener with x, z and heading (radians)
+ * @param {Object} shore - Closest shore point with x and z properties
+ * @returns {Object} - Reflector with distance, pan and reflectivity
+ */
+export function createWaterReflector(listener, shore) {
+  const dx = shore.x - listener.x;
+  const dz = shore.z - listener.z;
+
+  return {
+    distance: Math.max(0.5, Math.sqrt(dx * dx + dz * dz)),
+    pan: panTowards(listener, shore.x, shore.z),
+    reflectivity: WATER_REFLECTIVITY
+  };
+}
+
+/**
+ * Compute the echoes a call produces from a set of reflectors
+ * @param {Array} reflectors - Reflectors with distance, pan and reflectivity
+ * @param {Object} [options] - Echo options
+ * @param {number} [options.speedOfSound] - Speed of sound in metres per second
+ * @param {number} [options.maxEchoes] - Maximum number of echoes to return
+ * @param {number} [options.minGain] - Echoes quieter than this are dropped
+ * @returns {Array} - Echoes with delay (seconds), gain, pan and damping, sorted by delay
+ */
+export function computeEchoes(reflectors, options = {}) {
+  const speedOfSound = options.speedOfSound || SPEED_OF_SOUND;
+  const maxEchoes = options.maxEchoes || 24;
+  const minGain = options.minGain || 0.005;
+
+  const echoes = reflectors.map((reflector) => {
+    // Sound travels out to the reflector and back again
+    const pathLength = reflector.distance * 2;
+
+    // Inverse-distance spreading, relative to a 10 m reference
+    const spreading = 1 / (1 + reflector.distance / 10);
+    const absorption = Math.exp(-AIR_ABSORPTION * pathLength);
+
+    return {
+      delay: pathLength / speedOfSound,
+      gain: reflector.reflectivity * spreading * absorption,
+      pan: reflector.pan,
+      // Distant echoes lose more of their high frequencies
+      damping: 1 - absorption
+    };
+  });
+
+  // Keep the loudest echoes, then order them by arrival time
+  return echoes
+    .filter((echo) => echo.gain >= minGain)
+    .sort((a, b) => b.gain - a.gain)
+    .slice(0, maxEchoes)
+    .sort((a, b) => a.delay - b.delay);
+}
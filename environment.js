@@ -2,11 +2,13 @@
 import * as THREE from 'three';
 import { Sky } from 'three/addons/objects/Sky.js';
 import { Water } from 'three/addons/objects/Water.js';
-import { WORLD_SIZE } from './constants.js';
+import { createTerrainGeometry } from './terrain.js';
+import { CHUNK_SIZE } from './constants.js';
 
 /**
  * Create lighting for the scene
  * @param {THREE.Scene} scene - The scene to add lighting to
+ * @returns {Object} - The ambient, sun and moon lights
  */
 export function createLighting(scene) {
   // Ambient light for overall illumination
@@ -26,11 +28,21 @@ export function createLighting(scene) {
   sunLight.shadow.camera.top = 100;
   sunLight.shadow.camera.bottom = -100;
   scene.add(sunLight);
+  scene.add(sunLight.target); // Moved around with the player by the day cycle
+
+  // Faint bluish moonlight for night time
+  const moonLight = new THREE.DirectionalLight(0x8899cc, 0);
+  moonLight.position.set(100, 100, 100);
+  scene.add(moonLight);
+  scene.add(moonLight.target);
+
+  return { ambientLight, sunLight, moonLight };
 }
 
 /**
  * Create sky with atmosphere
  * @param {THREE.Scene} scene - The scene to add the sky to
+ * @returns {Sky} - The sky mesh
  */
 export function createSky(scene) {
   const sky = new Sky();
@@ -49,45 +61,94 @@ export function createSky(scene) {
 
   sun.setFromSphericalCoords(1, phi, theta);
   skyUniforms['sunPosition'].value.copy(sun);
+
+  return sky;
 }
 
 /**
- * Create ground plane
- * @param {THREE.Scene} scene - The scene to add the ground to
+ * Create a dome of stars for the night sky
+ * @param {THREE.Scene} scene - The scene to add the stars to
+ * @returns {THREE.Points} - The star field, hidden until night
+ */
+export function createStars(scene) {
+  const starCount = 1500;
+  const positions = new Float32Array(starCount * 3);
+  const star = new THREE.Vector3();
+
+  for (let i = 0; i < starCount; i++) {
+    // Random direction on the upper hemisphere, inside the camera's far plane
+    star.set(Math.random() * 2 - 1, Math.random(), Math.random() * 2 - 1).normalize().multiplyScalar(900);
+    positions[i * 3] = star.x;
+    positions[i * 3 + 1] = star.y;
+    positions[i * 3 + 2] = star.z;
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+
+  const stars = new THREE.Points(geometry, new THREE.PointsMaterial({
+    color: 0xffffff,
+    size: 1.5,
+    sizeAttenuation: false,
+    transparent: true,
+    opacity: 0,
+    fog: false,
+    depthWrite: false
+  }));
+  stars.visible = false;
+  scene.add(stars);
+
+  return stars;
+}
+
+/**
+ * Create the material shared by every ground chunk
  * @param {THREE.LoadingManager} loadingManager - Loading manager for textures
+ * @returns {THREE.MeshStandardMaterial} - Ground material
  */
-export function createGround(scene, loadingManager) {
-  // Ground texture
+export function createGroundMaterial(loadingManager) {
+  // Ground texture, repeating seamlessly across chunk borders
   const textureLoader = new THREE.TextureLoader(loadingManager);
   const groundTexture = textureLoader.load('https://threejs.org/examples/textures/terrain/grasslight-big.jpg');
   groundTexture.wrapS = groundTexture.wrapT = THREE.RepeatWrapping;
-  groundTexture.repeat.set(25, 25);
+  groundTexture.repeat.set(CHUNK_SIZE / 40, CHUNK_SIZE / 40);
   groundTexture.anisotropy = 16;
 
-  // Ground material
-  const groundMaterial = new THREE.MeshStandardMaterial({
+  return new THREE.MeshStandardMaterial({
     map: groundTexture,
     roughness: 0.8,
     metalness: 0.1
   });
+}
 
-  // Ground mesh
-  const ground = new THREE.Mesh(
-    new THREE.PlaneGeometry(WORLD_SIZE, WORLD_SIZE),
-    groundMaterial
-  );
+/**
+ * Create the ground terrain for one chunk
+ * @param {THREE.Scene} scene - The scene to add the ground to
+ * @param {number} cx - Chunk x index
+ * @param {number} cz - Chunk z index
+ * @param {THREE.Material} groundMaterial - Material from createGroundMaterial
+ * @returns {THREE.Mesh} - The ground mesh
+ */
+export function createGroundChunk(scene, cx, cz, groundMaterial) {
+  const ground = new THREE.Mesh(createTerrainGeometry(cx, cz), groundMaterial);
   ground.rotation.x = -Math.PI / 2;
+  ground.position.set((cx + 0.5) * CHUNK_SIZE, 0, (cz + 0.5) * CHUNK_SIZE);
   ground.receiveShadow = true;
   scene.add(ground);
+
+  return ground;
 }
 
 /**
  * Create water surface
+ * A single reflective surface covers every loaded lake and river (see updateWaterGeometry),
+ * so the reflection is only rendered once however much water is in view.
  * @param {THREE.Scene} scene - The scene to add the water to
+ * @param {Object} config - World config (water level)
  * @returns {THREE.Mesh} - The water surface mesh
  */
-export function createWater(scene) {
-  const waterGeometry = new THREE.PlaneGeometry(WORLD_SIZE / 3, WORLD_SIZE / 3);
+export function createWater(scene, config) {
+  const waterGeometry = new THREE.BufferGeometry();
 
   const waterSurface = new Water(
     waterGeometry,
@@ -106,9 +167,46 @@ export function createWater(scene) {
   );
 
   waterSurface.rotation.x = -Math.PI / 2;
-  waterSurface.position.y = -0.5;
-  waterSurface.position.z = -WORLD_SIZE / 4;
+  waterSurface.position.y = config.water.level;
+  waterSurface.visible = false;
   scene.add(waterSurface);
 
   return waterSurface;
 }
+
+/**
+ * Reshape the water surface to cover a set of water bodies
+ * @param {THREE.Mesh} waterSurface - Water surface from createWater
+ * @param {Array} bodies - Lakes and rivers, each with a surface of vertices ([x, z] pairs) and triangles
+ */
+export function updateWaterGeometry(waterSurface, bodies) {
+  const positions = [];
+  const indices = [];
+
+  bodies.forEach((body) => {
+    const base = positions.length / 3;
+
+    // In the surface's local axes (y points towards -z once rotated flat)
+    for (const [x, z] of body.surface.vertices) {
+      positions.push(x, -z, 0);
+    }
+
+    // Wind every triangle counter-clockwise so it faces up
+    const triangles = body.surface.triangles;
+    for (let t = 0; t < triangles.length; t += 3) {
+      const [a, b, c] = [triangles[t], triangles[t + 1], triangles[t + 2]].map((index) => base + index);
+      const cross = (positions[b * 3] - positions[a * 3]) * (positions[c * 3 + 1] - positions[a * 3 + 1]) -
+        (positions[b * 3 + 1] - positions[a * 3 + 1]) * (positions[c * 3] - positions[a * 3]);
+      indices.push(a, cross > 0 ? b : c, cross > 0 ? c : b);
+    }
+  });
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+  geometry.setIndex(indices);
+  geometry.computeBoundingSphere();
+
+  waterSurface.geometry.dispose();
+  waterSurface.geometry = geometry;
+  waterSurface.visible = bodies.length > 0;
+}
@@ -1,320 +1,439 @@
 // Forest creation functions
 import * as THREE from 'three';
-import { WORLD_SIZE, TREE_COUNT, UNDERGROWTH_COUNT } from './constants.js';
-
-// Store leaf groups for wind animation
-let leafGroups = [];
-// Store undergrowth elements
-let undergrowth = [];
-// Store trees
+import { CHUNK_SIZE, LOD_NEAR_DISTANCE, LOD_MID_DISTANCE, LOD_FAR_DISTANCE, UNDERGROWTH_DRAW_DISTANCE, LOD_UPDATE_DISTANCE } from './constants.js';
+import { createRandom, getSeed } from './random.js';
+import { getHeightAt } from './terrain.js';
+import { getWaterLevelAt, getWaterDepthAt } from './water.js';
+import { addCollider, removeCollider } from './physics.js';
+import { SPECIES, createPlant } from './species.js';
+import { getBiomeAt, getBiomeDensity, pickSpecies } from './biome.js';
+import { applyWind } from './animation.js';
+import { applyOcclusionFade } from './occlusion.js';
+import { createImpostorGeometry, createImpostorMaterial } from './impostor.js';
+
+// Store tree records (position, size and the instanced parts they are built from) for loaded chunks
 let trees = [];
+// Store undergrowth records for loaded chunks
+let undergrowth = [];
+// Scene the forest meshes live in
+let forestScene = null;
+// Instanced mesh for each batch, sized to hold every part that could be shown
+const forestMeshes = {};
+// Number of parts each batch could need to show at once
+const batchTotals = {};
+// Tries per plant before giving up on a chunk with little dry land
+const MAX_PLANT_ATTEMPTS = 20;
+// Point the current level of detail was chosen around
+const lodFocus = new THREE.Vector3();
+// Set when chunks come or go, so the next LOD update cannot be skipped
+let lodDirty = false;
 
 /**
- * Create a more natural tree with animated leaves
- * @param {number} treeType - Type of tree (0 for pine, 1 for deciduous)
- * @param {THREE.Vector3} position - Position of the tree
- * @param {number} scale - Scale of the tree
- * @returns {THREE.Group} - The tree mesh
+ * Shared geometry and material for every kind of instanced forest part.
+ * Geometries are unit sized; each instance matrix scales them to fit.
+ * Batches marked colored take a colour per instance.
  */
-function createNaturalTree(treeType, position, scale) {
-  const tree = new THREE.Group();
-
-  // Create trunk with natural curve
-  let trunkHeight = 5 + Math.random() * 3;
-  let trunkGeometry;
-  let trunkMaterial;
-
-  // Different tree types
-  if (treeType === 0) { // Pine tree
-    // Trunk
-    trunkGeometry = new THREE.CylinderGeometry(0.3, 0.5, trunkHeight, 8);
-    trunkMaterial = new THREE.MeshStandardMaterial({
-      color: 0x3d2817,
-      roughness: 1.0,
-      flatShading: true
-    });
-
-    // Create trunk with slight curve
-    const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-    trunk.castShadow = true;
-    trunk.receiveShadow = true;
-    trunk.position.y = trunkHeight / 2;
-
-    // Add slight random rotation to trunk for natural look
-    trunk.rotation.x = (Math.random() - 0.5) * 0.2;
-    trunk.rotation.z = (Math.random() - 0.5) * 0.2;
-
-    tree.add(trunk);
-
-    // Create multiple layers of pine leaves
-    const leafLayers = 3 + Math.floor(Math.random() * 3);
-    const leafGroup = new THREE.Group();
-
-    for (let i = 0; i < leafLayers; i++) {
-      const layerSize = 4 - (i * 3.5 / leafLayers);
-      const layerHeight = 2.5 - (i * 1.5 / leafLayers);
-      const leafGeometry = new THREE.ConeGeometry(layerSize, layerHeight, 8);
-
-      // Vary the leaf color slightly
-      const hue = 0.27 + (Math.random() * 0.1 - 0.05);
-      const saturation = 0.4 + (Math.random() * 0.2);
-      const lightness = 0.2 + (Math.random() * 0.1);
-
-      const leafMaterial = new THREE.MeshStandardMaterial({
-        color: new THREE.Color().setHSL(hue, saturation, lightness),
-        flatShading: true,
-        roughness: 0.9
-      });
-
-      const leafLayer = new THREE.Mesh(leafGeometry, leafMaterial);
-      leafLayer.castShadow = true;
-      leafLayer.position.y = trunkHeight - i * 1.5;
-
-      // Store original position for wind animation
-      leafLayer.userData.originalY = leafLayer.position.y;
-      leafLayer.userData.originalRotation = { x: leafLayer.rotation.x, y: leafLayer.rotation.y, z: leafLayer.rotation.z };
-      leafLayer.userData.windFactor = Math.random() * 0.7 + 0.6; // Increased random wind factor for more movement
-
-      // Add slight initial rotation for more natural look
-      leafLayer.rotation.x = (Math.random() - 0.5) * 0.1;
-      leafLayer.rotation.z = (Math.random() - 0.5) * 0.1;
-
-      leafGroup.add(leafLayer);
-    }
+const FOREST_BATCHES = {
+  pineTrunk: {
+    geometry: new THREE.CylinderGeometry(0.3, 0.5, 1, 8),
+    material: applyWind(new THREE.MeshStandardMaterial({ color: 0x3d2817, roughness: 1.0, flatShading: true }), 0.01, 0),
+    castShadow: true,
+    receiveShadow: true
+  },
+  deciduousTrunk: {
+    geometry: new THREE.CylinderGeometry(0.2, 0.8, 1, 8),
+    material: applyWind(new THREE.MeshStandardMaterial({ color: 0x4d3319, roughness: 1.0, flatShading: true }), 0.01, 0),
+    castShadow: true,
+    receiveShadow: true
+  },
+  branch: {
+    geometry: new THREE.CylinderGeometry(0.15, 0.25, 1, 5),
+    material: applyWind(new THREE.MeshStandardMaterial({ color: 0x4d3319, roughness: 1.0, flatShading: true }), 0.02, 0.02),
+    castShadow: true,
+    receiveShadow: true
+  },
+  pineLayer: {
+    geometry: new THREE.ConeGeometry(1, 1, 8),
+    material: applyOcclusionFade(applyWind(new THREE.MeshStandardMaterial({ flatShading: true, roughness: 0.9 }), 0.015, 0.05)),
+    castShadow: true,
+    receiveShadow: false,
+    colored: true
+  },
+  leafCluster: {
+    geometry: new THREE.SphereGeometry(1, 6, 5),
+    material: applyOcclusionFade(applyWind(new THREE.MeshStandardMaterial({ side: THREE.DoubleSide, flatShading: true }), 0.025, 0.1)),
+    castShadow: true,
+    receiveShadow: false,
+    colored: true
+  },
+  bushLarge: {
+    geometry: new THREE.SphereGeometry(1, 6, 4),
+    material: applyWind(new THREE.MeshStandardMaterial({ flatShading: true, roughness: 0.9 }), 0.03, 0.03),
+    castShadow: true,
+    receiveShadow: true,
+    colored: true
+  },
+  bushSmall: {
+    geometry: new THREE.SphereGeometry(0.8, 5, 3),
+    material: applyWind(new THREE.MeshStandardMaterial({ flatShading: true, roughness: 0.9 }), 0.03, 0.03),
+    castShadow: true,
+    receiveShadow: true,
+    colored: true
+  },
+  grassBlade: {
+    geometry: new THREE.CylinderGeometry(0.1, 0.3, 0.8, 5, 1),
+    material: applyWind(new THREE.MeshStandardMaterial({ color: 0x3a5f34, flatShading: true, roughness: 0.9 }), 0.15, 0.05),
+    castShadow: true,
+    receiveShadow: true
+  },
+  birchTrunk: {
+    geometry: new THREE.CylinderGeometry(0.2, 0.3, 1, 8),
+    material: applyWind(new THREE.MeshStandardMaterial({ color: 0xd8d2c4, roughness: 0.8, flatShading: true }), 0.015, 0),
+    castShadow: true,
+    receiveShadow: true
+  },
+  deadWood: {
+    geometry: new THREE.CylinderGeometry(0.25, 0.45, 1, 6),
+    material: applyWind(new THREE.MeshStandardMaterial({ color: 0x5e554c, roughness: 1.0, flatShading: true }), 0.01, 0),
+    castShadow: true,
+    receiveShadow: true
+  },
+  // Flat, pointed frond standing on its base, thin across x so it faces up once tipped over
+  fernFrond: {
+    geometry: new THREE.ConeGeometry(0.3, 1, 4).scale(0.15, 1, 1).translate(0, 0.5, 0),
+    material: applyWind(new THREE.MeshStandardMaterial({ side: THREE.DoubleSide, flatShading: true, roughness: 0.9 }), 0.1, 0.08),
+    castShadow: true,
+    receiveShadow: true,
+    colored: true
+  },
+  reedStem: {
+    geometry: new THREE.CylinderGeometry(0.02, 0.04, 1, 4).translate(0, 0.5, 0),
+    material: applyWind(new THREE.MeshStandardMaterial({ color: 0x6b8a3a, flatShading: true, roughness: 0.9 }), 0.12, 0.03),
+    castShadow: true,
+    receiveShadow: false
+  },
+  reedHead: {
+    geometry: new THREE.CylinderGeometry(0.06, 0.06, 1, 6),
+    material: applyWind(new THREE.MeshStandardMaterial({ color: 0x4a2e1a, flatShading: true, roughness: 1.0 }), 0.12, 0.03),
+    castShadow: true,
+    receiveShadow: false
+  },
+  mushroomStem: {
+    geometry: new THREE.CylinderGeometry(0.05, 0.07, 1, 6),
+    material: applyWind(new THREE.MeshStandardMaterial({ color: 0xe8dcc0, roughness: 0.8 }), 0, 0),
+    castShadow: false,
+    receiveShadow: true
+  },
+  mushroomCap: {
+    geometry: new THREE.SphereGeometry(1, 8, 4, 0, Math.PI * 2, 0, Math.PI / 2),
+    material: applyWind(new THREE.MeshStandardMaterial({ roughness: 0.6 }), 0, 0),
+    castShadow: true,
+    receiveShadow: true,
+    colored: true
+  },
+  rock: {
+    geometry: new THREE.DodecahedronGeometry(1, 0),
+    material: applyWind(new THREE.MeshStandardMaterial({ flatShading: true, roughness: 1.0 }), 0, 0),
+    castShadow: true,
+    receiveShadow: true,
+    colored: true
+  },
+
+  // Simplified trees for mid range
+  pineTrunkLow: {
+    geometry: new THREE.CylinderGeometry(0.3, 0.5, 1, 5, 1, true),
+    material: applyWind(new THREE.MeshStandardMaterial({ color: 0x3d2817, roughness: 1.0, flatShading: true }), 0.01, 0),
+    castShadow: true,
+    receiveShadow: false
+  },
+  deciduousTrunkLow: {
+    geometry: new THREE.CylinderGeometry(0.2, 0.8, 1, 5, 1, true),
+    material: applyWind(new THREE.MeshStandardMaterial({ color: 0x4d3319, roughness: 1.0, flatShading: true }), 0.01, 0),
+    castShadow: true,
+    receiveShadow: false
+  },
+  birchTrunkLow: {
+    geometry: new THREE.CylinderGeometry(0.2, 0.3, 1, 5, 1, true),
+    material: applyWind(new THREE.MeshStandardMaterial({ color: 0xd8d2c4, roughness: 0.8, flatShading: true }), 0.015, 0),
+    castShadow: true,
+    receiveShadow: false
+  },
+  deadWoodLow: {
+    geometry: new THREE.CylinderGeometry(0.25, 0.45, 1, 4, 1, true),
+    material: applyWind(new THREE.MeshStandardMaterial({ color: 0x5e554c, roughness: 1.0, flatShading: true }), 0.01, 0),
+    castShadow: true,
+    receiveShadow: false
+  },
+  pineCrownLow: {
+    geometry: new THREE.ConeGeometry(1, 1, 6),
+    material: applyWind(new THREE.MeshStandardMaterial({ flatShading: true, roughness: 0.9 }), 0.015, 0),
+    castShadow: true,
+    receiveShadow: false,
+    colored: true
+  },
+  leafCrownLow: {
+    geometry: new THREE.IcosahedronGeometry(1, 0),
+    material: applyWind(new THREE.MeshStandardMaterial({ flatShading: true }), 0.025, 0),
+    castShadow: true,
+    receiveShadow: false,
+    colored: true
+  },
+
+  // Billboard impostors for far away trees
+  pineImpostor: {
+    geometry: createImpostorGeometry(),
+    material: createImpostorMaterial('pine'),
+    castShadow: false,
+    receiveShadow: false,
+    colored: true
+  },
+  deciduousImpostor: {
+    geometry: createImpostorGeometry(),
+    material: createImpostorMaterial('deciduous'),
+    castShadow: false,
+    receiveShadow: false,
+    colored: true
+  }
+};
 
-    tree.add(leafGroup);
-    leafGroups.push(leafGroup); // Store for animation
+/**
+ * Set the scene the forest is drawn in
+ * @param {THREE.Scene} scene - The scene to add the forest meshes to
+ */
+export function initForest(scene) {
+  forestScene = scene;
+}
 
-  } else { // Deciduous tree
-    // Trunk with more natural shape
-    trunkGeometry = new THREE.CylinderGeometry(0.2, 0.8, trunkHeight, 8);
-    trunkMaterial = new THREE.MeshStandardMaterial({
-      color: 0x4d3319,
-      roughness: 1.0,
-      flatShading: true
-    });
+/**
+ * Generate the trees and undergrowth of one world chunk
+ * The same seed and chunk always produce the same plants.
+ * @param {number} cx - Chunk x index
+ * @param {number} cz - Chunk z index
+ * @param {Object} config - World config (forest density and spawn clearance)
+ * @returns {Object} - The chunk's trees and undergrowth, to pass to removeChunkForest later
+ */
+export function createChunkForest(cx, cz, config) {
+  const forest = {
+    trees: createPlants('trees', cx, cz, createRandom(`${getSeed()}:trees:${cx}:${cz}`), config),
+    undergrowth: createPlants('undergrowth', cx, cz, createRandom(`${getSeed()}:undergrowth:${cx}:${cz}`), config)
+  };
 
-    const trunk = new THREE.Mesh(trunkGeometry, trunkMaterial);
-    trunk.castShadow = true;
-    trunk.receiveShadow = true;
-    trunk.position.y = trunkHeight / 2;
+  trees = trees.concat(forest.trees);
+  undergrowth = undergrowth.concat(forest.undergrowth);
+  countParts(forest, 1);
 
-    // Add slight random rotation to trunk for natural look
-    trunk.rotation.x = (Math.random() - 0.5) * 0.2;
-    trunk.rotation.z = (Math.random() - 0.5) * 0.2;
+  return forest;
+}
 
-    tree.add(trunk);
+/**
+ * Remove the trees and undergrowth of an unloaded chunk
+ * @param {Object} forest - Result of createChunkForest
+ */
+export function removeChunkForest(forest) {
+  for (const record of [...forest.trees, ...forest.undergrowth]) {
+    record.colliders.forEach(removeCollider);
+  }
 
-    // Create branches
-    const branchCount = 2 + Math.floor(Math.random() * 3);
+  trees = trees.filter((tree) => !forest.trees.includes(tree));
+  undergrowth = undergrowth.filter((item) => !forest.undergrowth.includes(item));
+  countParts(forest, -1);
+}
 
-    for (let i = 0; i < branchCount; i++) {
-      const branchLength = 1.5 + Math.random() * 2;
-      const branchGeometry = new THREE.CylinderGeometry(0.15, 0.25, branchLength, 5);
-      const branch = new THREE.Mesh(branchGeometry, trunkMaterial);
+/**
+ * Check whether a species can grow at a spot
+ * @param {string} species - Species name
+ * @param {number} x - World x coordinate
+ * @param {number} z - World z coordinate
+ * @param {Object} config - World config
+ * @returns {boolean} - False at the player spawn, and in water too deep for the species
+ */
+function isPlantable(species, x, z, config) {
+  if (Math.sqrt(x * x + z * z) < config.terrain.spawnClearance) return false;
 
-      // Position branch along trunk
-      const branchHeight = trunkHeight * (0.5 + i * 0.2);
-      branch.position.y = branchHeight;
+  if (getWaterLevelAt(x, z) === null) return true;
+  const { maxWaterDepth } = SPECIES[species];
+  return maxWaterDepth !== undefined && getWaterDepthAt(x, z) <= maxWaterDepth;
+}
 
-      // Rotate branch outward
-      const branchAngle = Math.PI / 4 + (Math.random() * Math.PI / 4);
-      const branchDirection = Math.random() * Math.PI * 2;
+/**
+ * Create the trees or the undergrowth of a chunk
+ * Each spot picks a species from the biomes there; sparse biomes leave some spots empty.
+ * @param {string} layer - trees or undergrowth
+ * @param {number} cx - Chunk x index
+ * @param {number} cz - Chunk z index
+ * @param {Function} random - Random number generator for this chunk and layer
+ * @param {Object} config - World config
+ * @returns {Array} - Plant records (see createPlant)
+ */
+function createPlants(layer, cx, cz, random, config) {
+  const plants = [];
+  const count = layer === 'trees' ? config.forest.treesPerChunk : config.forest.undergrowthPerChunk;
+  let attempts = 0;
+
+  for (let i = 0; i < count && attempts < count * MAX_PLANT_ATTEMPTS; i++, attempts++) {
+    // Position randomly in the chunk
+    const x = (cx + random()) * CHUNK_SIZE;
+    const z = (cz + random()) * CHUNK_SIZE;
+
+    const biome = getBiomeAt(x, z);
+    if (random() > getBiomeDensity(biome, layer)) continue;
+    const species = pickSpecies(biome, layer, random);
+
+    // Avoid placing in the center (player spawn) and in lakes and rivers
+    if (!isPlantable(species, x, z, config)) {
+      i--; // Try again
+      continue;
+    }
 
-      branch.rotation.z = branchAngle;
-      branch.rotation.y = branchDirection;
+    const plant = createPlant(species, new THREE.Vector3(x, getHeightAt(x, z), z), random);
 
-      // Move branch origin to end
-      branch.position.x = Math.sin(branchDirection) * Math.sin(branchAngle) * branchLength / 2;
-      branch.position.z = Math.cos(branchDirection) * Math.sin(branchAngle) * branchLength / 2;
+    // Register collision shapes: trees, bushes and rocks block, grass and ferns slow
+    plant.colliders = plant.circles.map((circle) => addCollider(plant.kind, circle.x, circle.z, circle.radius, plant));
+    plants.push(plant);
+  }
 
-      tree.add(branch);
-    }
+  return plants;
+}
 
-    // Create leaf cluster (using instanced mesh for better performance)
-    const leafCount = 40 + Math.floor(Math.random() * 60);
-    const leafSize = 0.8 + Math.random() * 0.4;
-
-    // Create leaf group for animation
-    const leafGroup = new THREE.Group();
-
-    // Create several leaf clusters
-    const clusterCount = 3 + Math.floor(Math.random() * 3);
-
-    for (let c = 0; c < clusterCount; c++) {
-      // Vary the leaf color slightly
-      const hue = 0.25 + (Math.random() * 0.15);
-      const saturation = 0.4 + (Math.random() * 0.3);
-      const lightness = 0.25 + (Math.random() * 0.15);
-
-      const leafMaterial = new THREE.MeshStandardMaterial({
-        color: new THREE.Color().setHSL(hue, saturation, lightness),
-        side: THREE.DoubleSide,
-        flatShading: true
-      });
-
-      // Create leaf geometry (simple for performance)
-      const leafGeometry = new THREE.SphereGeometry(leafSize, 4, 3);
-      leafGeometry.scale(1, 0.5, 1);
-
-      // Create leaf cluster
-      const cluster = new THREE.Mesh(
-        new THREE.SphereGeometry(2 + Math.random(), 6, 5),
-        leafMaterial
-      );
-
-      // Position cluster
-      cluster.position.y = trunkHeight + Math.random() * 2;
-      cluster.position.x = (Math.random() - 0.5) * 4;
-      cluster.position.z = (Math.random() - 0.5) * 4;
-
-      // Store original position for wind animation
-      cluster.userData.originalY = cluster.position.y;
-      cluster.userData.originalPosition = cluster.position.clone();
-      cluster.userData.originalRotation = { x: cluster.rotation.x, y: cluster.rotation.y, z: cluster.rotation.z };
-      cluster.userData.windFactor = Math.random() * 0.8 + 0.7; // Increased wind factor for more movement
-
-      // Add slight initial rotation for more natural look
-      cluster.rotation.x = (Math.random() - 0.5) * 0.2;
-      cluster.rotation.y = (Math.random() - 0.5) * 0.2;
-      cluster.rotation.z = (Math.random() - 0.5) * 0.2;
-
-      leafGroup.add(cluster);
+/**
+ * Keep track of how many parts each batch could need, growing meshes to fit
+ * @param {Object} forest - Trees and undergrowth of one chunk
+ * @param {number} sign - 1 when the chunk is added, -1 when it is removed
+ */
+function countParts(forest, sign) {
+  for (const record of [...forest.trees, ...forest.undergrowth]) {
+    for (const parts of [record.parts, record.midParts || [], record.farParts || []]) {
+      for (const part of parts) {
+        batchTotals[part.batch] = (batchTotals[part.batch] || 0) + sign;
+      }
     }
-
-    tree.add(leafGroup);
-    leafGroups.push(leafGroup); // Store for animation
   }
 
-  // Position tree
-  tree.position.copy(position);
+  // Replace meshes that have become too small, leaving room to grow
+  for (const [name, total] of Object.entries(batchTotals)) {
+    const mesh = forestMeshes[name];
+    if (mesh && mesh.instanceMatrix.count >= total) continue;
 
-  // Scale tree
-  tree.scale.set(scale, scale, scale);
+    if (mesh) {
+      forestScene.remove(mesh);
+      mesh.dispose();
+    }
+    forestMeshes[name] = createBatchMesh(FOREST_BATCHES[name], Math.ceil(total * 1.5));
+    forestScene.add(forestMeshes[name]);
+  }
 
-  return tree;
+  lodDirty = true;
 }
 
 /**
- * Create forest with trees
- * @param {THREE.Scene} scene - The scene to add the forest to
+ * Create one instanced mesh for a batch of parts
+ * @param {Object} batch - Entry from FOREST_BATCHES
+ * @param {number} capacity - Maximum number of instances
+ * @returns {THREE.InstancedMesh} - The instanced mesh, initially empty
  */
-export function createForest(scene) {
-  // Clear existing arrays
-  trees = [];
-  leafGroups = [];
-
-  // Create trees
-  for (let i = 0; i < TREE_COUNT; i++) {
-    // Position tree randomly in the world
-    const x = Math.random() * WORLD_SIZE - WORLD_SIZE / 2;
-    const z = Math.random() * WORLD_SIZE - WORLD_SIZE / 2;
-
-    // Avoid placing trees in the center (player spawn) and in the lake
-    const distanceFromCenter = Math.sqrt(x * x + z * z);
-    if (distanceFromCenter < 10 || (Math.abs(z + WORLD_SIZE / 4) < WORLD_SIZE / 6 && Math.abs(x) < WORLD_SIZE / 6)) {
-      i--; // Try again
-      continue;
-    }
+function createBatchMesh(batch, capacity) {
+  // Share the vertex data but give each mesh its own per-instance wind anchors
+  const geometry = new THREE.BufferGeometry();
+  geometry.setIndex(batch.geometry.index);
+  for (const [name, attribute] of Object.entries(batch.geometry.attributes)) {
+    geometry.setAttribute(name, attribute);
+  }
+  geometry.setAttribute('windAnchor', new THREE.InstancedBufferAttribute(new Float32Array(capacity * 4), 4));
 
-    // Create tree with natural variation
-    const treeType = Math.random() > 0.4 ? 0 : 1; // 60% pine, 40% deciduous
-    const scale = 0.5 + Math.random() * 0.7; // More size variation
-    const tree = createNaturalTree(treeType, new THREE.Vector3(x, 0, z), scale);
-
-    // Add tree to scene and store reference
-    scene.add(tree);
-    trees.push({
-      mesh: tree,
-      radius: 0.7 * scale // Collision radius
-    });
+  const mesh = new THREE.InstancedMesh(geometry, batch.material, capacity);
+  if (batch.colored) {
+    mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
   }
+  mesh.count = 0;
+  mesh.castShadow = batch.castShadow;
+  mesh.receiveShadow = batch.receiveShadow;
+  if (batch.castShadow) {
+    mesh.customDepthMaterial = getWindDepthMaterial(batch);
+  }
+
+  return mesh;
 }
 
 /**
- * Create undergrowth (bushes, grass, etc.)
- * @param {THREE.Scene} scene - The scene to add the undergrowth to
+ * Choose the level of detail for every tree and plant around a point
+ * Full trees up close, simplified trees at mid range, impostors far away,
+ * and nothing at all beyond the fog.
+ * @param {THREE.Vector3} focus - Point to measure distances from (usually the camera)
+ * @param {boolean} [force] - Update even if the focus has barely moved
  */
-export function createUndergrowth(scene) {
-  // Clear existing array
-  undergrowth = [];
-
-  // Bush geometry and materials
-  const bushGeometries = [
-    new THREE.SphereGeometry(1, 6, 4),
-    new THREE.SphereGeometry(0.8, 5, 3)
-  ];
-
-  // Different shades of green for variation
-  const bushMaterials = [
-    new THREE.MeshStandardMaterial({ color: 0x1e4d2b, flatShading: true, roughness: 0.9 }),
-    new THREE.MeshStandardMaterial({ color: 0x2d5f3e, flatShading: true, roughness: 0.9 }),
-    new THREE.MeshStandardMaterial({ color: 0x1a3a24, flatShading: true, roughness: 0.9 })
-  ];
-
-  // Create undergrowth
-  for (let i = 0; i < UNDERGROWTH_COUNT; i++) {
-    // Position randomly in the world
-    const x = Math.random() * WORLD_SIZE - WORLD_SIZE / 2;
-    const z = Math.random() * WORLD_SIZE - WORLD_SIZE / 2;
-
-    // Avoid placing in the center (player spawn) and in the lake
-    const distanceFromCenter = Math.sqrt(x * x + z * z);
-    if (distanceFromCenter < 10 || (Math.abs(z + WORLD_SIZE / 4) < WORLD_SIZE / 6 && Math.abs(x) < WORLD_SIZE / 6)) {
-      i--; // Try again
-      continue;
+export function updateForestLOD(focus, force = false) {
+  const dx = focus.x - lodFocus.x;
+  const dz = focus.z - lodFocus.z;
+  if (!force && !lodDirty && dx * dx + dz * dz < LOD_UPDATE_DISTANCE * LOD_UPDATE_DISTANCE) return;
+  lodFocus.copy(focus);
+  lodDirty = false;
+
+  for (const mesh of Object.values(forestMeshes)) {
+    mesh.count = 0;
+  }
+
+  for (const tree of trees) {
+    const distance = Math.hypot(tree.position.x - focus.x, tree.position.z - focus.z);
+    if (distance < LOD_NEAR_DISTANCE) {
+      addInstances(tree.parts, tree.position);
+    } else if (distance < LOD_MID_DISTANCE) {
+      addInstances(tree.midParts, tree.position);
+    } else if (distance < LOD_FAR_DISTANCE) {
+      addInstances(tree.farParts, tree.position);
     }
+  }
 
-    // Create bush or grass
-    const isGrass = Math.random() > 0.7;
-    let undergrowthItem;
-
-    if (isGrass) {
-      // Simple grass tuft
-      const grassGeometry = new THREE.CylinderGeometry(0.1, 0.3, 0.8, 5, 1);
-      const grassMaterial = new THREE.MeshStandardMaterial({
-        color: 0x3a5f34,
-        flatShading: true,
-        roughness: 0.9
-      });
-
-      undergrowthItem = new THREE.Group();
-
-      // Create several grass blades
-      const bladeCount = 3 + Math.floor(Math.random() * 5);
-
-      for (let b = 0; b < bladeCount; b++) {
-        const blade = new THREE.Mesh(grassGeometry, grassMaterial);
-        blade.position.x = (Math.random() - 0.5) * 0.5;
-        blade.position.z = (Math.random() - 0.5) * 0.5;
-        blade.rotation.x = (Math.random() - 0.5) * 0.2;
-        blade.rotation.z = (Math.random() - 0.5) * 0.2;
-        undergrowthItem.add(blade);
-      }
-    } else {
-      // Bush
-      const bushGeometry = bushGeometries[Math.floor(Math.random() * bushGeometries.length)];
-      const bushMaterial = bushMaterials[Math.floor(Math.random() * bushMaterials.length)];
-
-      undergrowthItem = new THREE.Mesh(bushGeometry, bushMaterial);
-
-      // Add some variation
-      undergrowthItem.scale.x = 0.5 + Math.random() * 1.0;
-      undergrowthItem.scale.y = 0.5 + Math.random() * 0.7;
-      undergrowthItem.scale.z = 0.5 + Math.random() * 1.0;
-      undergrowthItem.rotation.y = Math.random() * Math.PI * 2;
+  for (const item of undergrowth) {
+    const distance = Math.hypot(item.position.x - focus.x, item.position.z - focus.z);
+    if (distance < (item.drawDistance ?? UNDERGROWTH_DRAW_DISTANCE)) {
+      addInstances(item.parts, item.position);
     }
+  }
 
-    // Position
-    undergrowthItem.position.set(x, 0.2, z);
-    undergrowthItem.castShadow = true;
-    undergrowthItem.receiveShadow = true;
+  // Upload the new instance data and refit the culling bounds
+  for (const mesh of Object.values(forestMeshes)) {
+    mesh.instanceMatrix.needsUpdate = true;
+    if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+    mesh.geometry.attributes.windAnchor.needsUpdate = true;
+    mesh.visible = mesh.count > 0;
+    mesh.computeBoundingSphere();
+  }
+}
 
-    // Add to scene
-    scene.add(undergrowthItem);
-    undergrowth.push(undergrowthItem);
+/**
+ * Append parts to the end of their batch meshes
+ * @param {Array} parts - Parts to show
+ * @param {THREE.Vector3} base - Base position of the tree or plant they belong to
+ */
+function addInstances(parts, base) {
+  for (const part of parts) {
+    const mesh = forestMeshes[part.batch];
+    const index = mesh.count++;
+    const anchors = mesh.geometry.attributes.windAnchor.array;
+
+    mesh.setMatrixAt(index, part.matrix);
+    if (part.color) mesh.setColorAt(index, part.color);
+    anchors[index * 4] = base.x;
+    anchors[index * 4 + 1] = base.y;
+    anchors[index * 4 + 2] = base.z;
+    anchors[index * 4 + 3] = part.windFactor;
+  }
+}
+
+/**
+ * Get a shadow depth material that sways along with a batch
+ * @param {Object} batch - Entry from FOREST_BATCHES
+ * @returns {THREE.MeshDepthMaterial} - Wind-animated depth material
+ */
+function getWindDepthMaterial(batch) {
+  if (!batch.depthMaterial) {
+    const material = batch.material;
+    batch.depthMaterial = new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking });
+    // Reuse the colour material's wind patch so the shadow moves with the mesh
+    batch.depthMaterial.onBeforeCompile = material.userData.windPatch;
   }
+  return batch.depthMaterial;
 }
 
 // Export arrays for use in other modules
-export { trees, leafGroups, undergrowth };
+export { trees, undergrowth };
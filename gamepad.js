@@ -0,0 +1,111 @@
+// Gamepad support through the Gamepad API
+import { movementState, orbitCamera } from './character.js';
+import { setButtonState } from './input.js';
+import { GAMEPAD_DEAD_ZONE, GAMEPAD_MOVE_SENSITIVITY, GAMEPAD_LOOK_SENSITIVITY } from './constants.js';
+
+// Stick axes in the standard gamepad layout
+const LEFT_STICK_X = 0;
+const LEFT_STICK_Y = 1;
+const RIGHT_STICK_X = 2;
+const RIGHT_STICK_Y = 3;
+
+// Player adjustable stick settings
+const settings = {
+  deadZone: GAMEPAD_DEAD_ZONE,
+  moveSensitivity: GAMEPAD_MOVE_SENSITIVITY,
+  lookSensitivity: GAMEPAD_LOOK_SENSITIVITY,
+  invertLook: false
+};
+
+// Index of the gamepad last used, or null when none is connected
+let activeIndex = null;
+
+/**
+ * Change stick dead zone and sensitivity
+ * @param {Object} options - Settings to change
+ * @param {number} [options.deadZone] - Deflection ignored around the stick centre (0 to 1)
+ * @param {number} [options.moveSensitivity] - Multiplier on movement and turning
+ * @param {number} [options.lookSensitivity] - Camera orbit speed at full deflection (radians per second)
+ * @param {boolean} [options.invertLook] - Push up to look down
+ */
+export function setGamepadSettings(options) {
+  Object.assign(settings, options);
+  settings.deadZone = Math.min(Math.max(settings.deadZone, 0), 0.95);
+}
+
+/**
+ * Get the current stick settings
+ * @returns {Object} - deadZone, moveSensitivity, lookSensitivity and invertLook
+ */
+export function getGamepadSettings() {
+  return { ...settings };
+}
+
+/**
+ * Read the gamepad and add it to this frame's movement, camera and button actions
+ * @param {number} delta - Time delta in seconds
+ */
+export function updateGamepad(delta) {
+  const gamepad = findGamepad();
+  if (!gamepad) return;
+
+  // Left stick: push up to walk forward, sideways to turn
+  const moveX = applyDeadZone(gamepad.axes[LEFT_STICK_X] || 0);
+  const moveY = applyDeadZone(gamepad.axes[LEFT_STICK_Y] || 0);
+  movementState.forward += clampUnit(-moveY * settings.moveSensitivity);
+  movementState.turn += clampUnit(-moveX * settings.moveSensitivity);
+
+  // Right stick: orbit the camera around the character
+  const lookX = applyDeadZone(gamepad.axes[RIGHT_STICK_X] || 0);
+  const lookY = applyDeadZone(gamepad.axes[RIGHT_STICK_Y] || 0);
+  const pitchSign = settings.invertLook ? -1 : 1;
+  orbitCamera(-lookX * settings.lookSensitivity * delta, lookY * pitchSign * settings.lookSensitivity * delta);
+
+  // Buttons go through the input manager so they can be bound to actions
+  gamepad.buttons.forEach((button, index) => {
+    setButtonState(`GamepadButton${index}`, button.pressed);
+  });
+}
+
+/**
+ * Find the gamepad to read, preferring the one used last
+ * @returns {Gamepad|null} - Connected gamepad
+ */
+function findGamepad() {
+  if (!navigator.getGamepads) return null;
+
+  const gamepads = navigator.getGamepads();
+  if (activeIndex !== null && gamepads[activeIndex] && gamepads[activeIndex].connected) {
+    return gamepads[activeIndex];
+  }
+
+  for (const gamepad of gamepads) {
+    if (gamepad && gamepad.connected) {
+      activeIndex = gamepad.index;
+      return gamepad;
+    }
+  }
+
+  activeIndex = null;
+  return null;
+}
+
+/**
+ * Ignore small deflections and rescale the rest to start from zero
+ * @param {number} value - Raw axis value (-1 to 1)
+ * @returns {number} - Axis value with the dead zone removed
+ */
+function applyDeadZone(value) {
+  const magnitude = Math.abs(value);
+  if (magnitude < settings.deadZone) return 0;
+  return Math.sign(value) * (magnitude - settings.deadZone) / (1 - settings.deadZone);
+}
+
+/**
+ * Clamp a value to the range -1 to 1
+ * @param {number} value - Value to clamp
+ * @returns {number} - Clamped value
+ */
+function clampUnit(value) {
+  return Math.min(Math.max(value, -1), 1);
+}
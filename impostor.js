@@ -0,0 +1,100 @@
+// Billboard impostors for distant trees
+import * as THREE from 'three';
+
+// Impostor texture size in pixels
+const TEXTURE_WIDTH = 64;
+const TEXTURE_HEIGHT = 128;
+
+// Fraction of the impostor height taken up by the bare trunk
+const TRUNK_FRACTION = { pine: 0.2, deciduous: 0.35 };
+
+// Vertex shader code that turns each instance to face the camera around its vertical axis
+const BILLBOARD_PROJECT_VERTEX = /* glsl */`
+vec4 mvPosition = instanceMatrix * vec4( 0.0, 0.0, 0.0, 1.0 );
+vec3 cameraRight = normalize( vec3( viewMatrix[ 0 ][ 0 ], viewMatrix[ 1 ][ 0 ], viewMatrix[ 2 ][ 0 ] ) );
+float billboardWidth = length( instanceMatrix[ 0 ].xyz );
+float billboardHeight = length( instanceMatrix[ 1 ].xyz );
+mvPosition.xyz += cameraRight * transformed.x * billboardWidth + vec3( 0.0, transformed.y * billboardHeight, 0.0 );
+mvPosition = modelViewMatrix * mvPosition;
+gl_Position = projectionMatrix * mvPosition;
+`;
+
+/**
+ * Create a unit billboard quad standing on its bottom edge
+ * Normals point up so impostors are lit like the canopy seen from afar.
+ * @returns {THREE.PlaneGeometry} - Billboard geometry
+ */
+export function createImpostorGeometry() {
+  const geometry = new THREE.PlaneGeometry(1, 1);
+  geometry.translate(0, 0.5, 0);
+
+  const normals = geometry.attributes.normal;
+  for (let i = 0; i < normals.count; i++) {
+    normals.setXYZ(i, 0, 1, 0);
+  }
+
+  return geometry;
+}
+
+/**
+ * Create a camera-facing material with a tree silhouette
+ * @param {string} type - Tree type (pine or deciduous)
+ * @returns {THREE.MeshLambertMaterial} - Billboard material, tinted per instance
+ */
+export function createImpostorMaterial(type) {
+  const material = new THREE.MeshLambertMaterial({
+    map: createSilhouetteTexture(type),
+    alphaTest: 0.5,
+    side: THREE.DoubleSide
+  });
+
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader.replace('#include <project_vertex>', BILLBOARD_PROJECT_VERTEX);
+  };
+
+  return material;
+}
+
+/**
+ * Paint a tree silhouette into a texture
+ * The crown is white so the per-instance colour tints it; the trunk is dark.
+ * @param {string} type - Tree type (pine or deciduous)
+ * @returns {THREE.DataTexture} - RGBA silhouette texture
+ */
+function createSilhouetteTexture(type) {
+  const data = new Uint8Array(TEXTURE_WIDTH * TEXTURE_HEIGHT * 4);
+  const trunkTop = TRUNK_FRACTION[type];
+
+  for (let py = 0; py < TEXTURE_HEIGHT; py++) {
+    for (let px = 0; px < TEXTURE_WIDTH; px++) {
+      // Normalized coordinates: u from -1 to 1 across, v from 0 (ground) to 1 (top)
+      const u = (px + 0.5) / TEXTURE_WIDTH * 2 - 1;
+      const v = (py + 0.5) / TEXTURE_HEIGHT;
+
+      let crown;
+      if (type === 'pine') {
+        // Cone narrowing towards the top
+        crown = v > trunkTop * 0.6 && Math.abs(u) < (1 - v) / (1 - trunkTop * 0.6);
+      } else {
+        // Rounded canopy
+        const cu = u / 0.95;
+        const cv = (v - (1 + trunkTop) / 2) / ((1 - trunkTop) / 2);
+        crown = cu * cu + cv * cv < 1;
+      }
+      const trunk = v <= trunkTop && Math.abs(u) < 0.08;
+
+      const i = (py * TEXTURE_WIDTH + px) * 4;
+      const shade = crown ? 255 : 70;
+      data[i] = shade;
+      data[i + 1] = shade;
+      data[i + 2] = crown ? 255 : 50;
+      data[i + 3] = crown || trunk ? 255 : 0;
+    }
+  }
+
+  const texture = new THREE.DataTexture(data, TEXTURE_WIDTH, TEXTURE_HEIGHT);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.magFilter = THREE.LinearFilter;
+  texture.needsUpdate = true;
+  return texture;
+}
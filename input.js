@@ -0,0 +1,190 @@
+// Keyboard and gamepad button input mapped to remappable game actions
+
+// Keys bound to each action unless the player has changed them
+// Gamepad buttons are named GamepadButton<index> using the standard gamepad layout,
+// on-screen touch buttons are named Touch<Action>
+const DEFAULT_BINDINGS = {
+  forward: ['KeyW', 'ArrowUp'],
+  back: ['KeyS', 'ArrowDown'],
+  turnLeft: ['KeyA', 'ArrowLeft'],
+  turnRight: ['KeyD', 'ArrowRight'],
+  strafeLeft: ['KeyQ', 'GamepadButton4'],
+  strafeRight: ['KeyR', 'GamepadButton5'],
+  sprint: ['ShiftLeft', 'ShiftRight', 'GamepadButton10'],
+  crouch: ['KeyX', 'GamepadButton1'],
+  jump: ['Space', 'GamepadButton0', 'TouchJump'],
+  shout: ['KeyE', 'GamepadButton2', 'TouchShout'],
+  cameraSteering: ['KeyC'],
+  cameraMode: ['KeyV', 'GamepadButton3'],
+  quickSave: ['KeyK'],
+  quickLoad: ['KeyL'],
+  exportSave: ['KeyJ'],
+  mute: ['KeyM'],
+  volumeDown: ['Minus'],
+  volumeUp: ['Equal']
+};
+
+// Where remapped bindings are kept between visits
+const STORAGE_KEY = 'forest-echo-bindings';
+
+let bindings = cloneBindings(DEFAULT_BINDINGS);
+const heldKeys = new Set(); // Keys currently down
+const pressedKeys = new Set(); // Keys that went down since the last frame
+
+/**
+ * Start listening to the keyboard and load saved bindings
+ */
+export function initInput() {
+  bindings = loadBindings();
+
+  document.addEventListener('keydown', onKeyDown);
+  document.addEventListener('keyup', onKeyUp);
+
+  // Keys released while the window is in the background never send keyup
+  window.addEventListener('blur', () => heldKeys.clear());
+}
+
+/**
+ * Check whether any key bound to an action is held down
+ * @param {string} action - Action name (forward, back, turnLeft, turnRight, jump, ...)
+ * @returns {boolean} - Whether the action is held
+ */
+export function isActionHeld(action) {
+  return getKeys(action).some((code) => heldKeys.has(code));
+}
+
+/**
+ * Check whether a key bound to an action was pressed since the last frame
+ * Auto-repeat from holding a key down does not count as a new press.
+ * @param {string} action - Action name
+ * @returns {boolean} - Whether the action was pressed
+ */
+export function wasActionPressed(action) {
+  return getKeys(action).some((code) => pressedKeys.has(code));
+}
+
+/**
+ * Forget this frame's key presses; call once at the end of every frame
+ */
+export function clearPressedActions() {
+  pressedKeys.clear();
+}
+
+/**
+ * Bind an action to a new set of keys and remember it
+ * @param {string} action - Action name
+ * @param {Array<string>} codes - KeyboardEvent.code values, e.g. ['KeyW', 'ArrowUp']
+ */
+export function bindAction(action, codes) {
+  getKeys(action);
+  bindings[action] = [...codes];
+  saveBindings();
+}
+
+/**
+ * Restore the default key for every action
+ */
+export function resetBindings() {
+  bindings = cloneBindings(DEFAULT_BINDINGS);
+  saveBindings();
+}
+
+/**
+ * Get the keys bound to every action
+ * @returns {Object} - Map of action name to key codes
+ */
+export function getBindings() {
+  return cloneBindings(bindings);
+}
+
+/**
+ * Get the keys bound to an action
+ * @param {string} action - Action name
+ * @returns {Array<string>} - Bound key codes
+ */
+function getKeys(action) {
+  if (!bindings[action]) {
+    throw new Error(`Unknown input action: ${action}`);
+  }
+  return bindings[action];
+}
+
+/**
+ * Report the state of a non-keyboard button, such as a gamepad or on-screen button
+ * A press is registered when the button goes from up to down.
+ * @param {string} code - Button code, e.g. GamepadButton0
+ * @param {boolean} isDown - Whether the button is down
+ */
+export function setButtonState(code, isDown) {
+  if (isDown && !heldKeys.has(code)) {
+    pressedKeys.add(code);
+    heldKeys.add(code);
+  } else if (!isDown) {
+    heldKeys.delete(code);
+  }
+}
+
+/**
+ * Handle key down events
+ * @param {KeyboardEvent} event - The keyboard event
+ */
+function onKeyDown(event) {
+  if (!event.repeat) {
+    pressedKeys.add(event.code);
+  }
+  heldKeys.add(event.code);
+}
+
+/**
+ * Handle key up events
+ * @param {KeyboardEvent} event - The keyboard event
+ */
+function onKeyUp(event) {
+  heldKeys.delete(event.code);
+}
+
+/**
+ * Read saved bindings, falling back to the defaults for anything missing or malformed
+ * @returns {Object} - Map of action name to key codes
+ */
+function loadBindings() {
+  const loaded = cloneBindings(DEFAULT_BINDINGS);
+
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '{}');
+    for (const action of Object.keys(loaded)) {
+      const codes = saved[action];
+      if (Array.isArray(codes) && codes.every((code) => typeof code === 'string')) {
+        loaded[action] = [...codes];
+      }
+    }
+  } catch (error) {
+    console.warn('Ignoring saved key bindings:', error);
+  }
+
+  return loaded;
+}
+
+/**
+ * Save the current bindings
+ */
+function saveBindings() {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+  } catch (error) {
+    console.warn('Could not save key bindings:', error);
+  }
+}
+
+/**
+ * Copy a bindings map so callers cannot change it behind our back
+ * @param {Object} source - Map of action name to key codes
+ * @returns {Object} - Copy of the map
+ */
+function cloneBindings(source) {
+  const copy = {};
+  for (const [action, codes] of Object.entries(source)) {
+    copy[action] = [...codes];
+  }
+  return copy;
+}
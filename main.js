@@ -1,5 +1,15 @@
 // Main entry point for the Forest Echo application
 import { init } from './core.js';
+import { loadWorldConfig } from './config.js';
+
+// Load the world config (world.json, or another file named by a ?world= URL parameter)
+const configUrl = new URLSearchParams(window.location.search).get('world') || 'world.json';
 
 // Initialize the scene
-init();
+loadWorldConfig(configUrl)
+  .then((config) => init({ config }))
+  .catch((error) => {
+    // Show what is wrong with the config instead of a loading message that never goes away
+    document.getElementById('loading').textContent = error.message;
+    console.error(error);
+  });
@@ -0,0 +1,86 @@
+// Seeded gradient noise functions for procedural generation
+
+/**
+ * Create a 2D gradient noise function from a random generator
+ * @param {Function} random - Function returning a float in [0, 1)
+ * @returns {Function} - Noise function (x, z) returning a value in roughly [-1, 1]
+ */
+export function createNoise2D(random) {
+  // Shuffled permutation table, doubled to avoid index wrapping
+  const permutation = new Uint8Array(512);
+  const source = new Uint8Array(256);
+  for (let i = 0; i < 256; i++) {
+    source[i] = i;
+  }
+  for (let i = 255; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    const swap = source[i];
+    source[i] = source[j];
+    source[j] = swap;
+  }
+  for (let i = 0; i < 512; i++) {
+    permutation[i] = source[i & 255];
+  }
+
+  // Eight evenly spaced gradient directions
+  const gradients = [];
+  for (let i = 0; i < 8; i++) {
+    const angle = (i / 8) * Math.PI * 2;
+    gradients.push([Math.cos(angle), Math.sin(angle)]);
+  }
+
+  const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
+
+  const dot = (hash, x, z) => {
+    const gradient = gradients[hash & 7];
+    return gradient[0] * x + gradient[1] * z;
+  };
+
+  return function noise(x, z) {
+    const cellX = Math.floor(x);
+    const cellZ = Math.floor(z);
+    const fx = x - cellX;
+    const fz = z - cellZ;
+    const ix = cellX & 255;
+    const iz = cellZ & 255;
+
+    // Hash the four cell corners
+    const h00 = permutation[permutation[ix] + iz];
+    const h10 = permutation[permutation[ix + 1] + iz];
+    const h01 = permutation[permutation[ix] + iz + 1];
+    const h11 = permutation[permutation[ix + 1] + iz + 1];
+
+    // Blend corner contributions with a quintic fade curve
+    const u = fade(fx);
+    const v = fade(fz);
+    const n0 = dot(h00, fx, fz) + u * (dot(h10, fx - 1, fz) - dot(h00, fx, fz));
+    const n1 = dot(h01, fx, fz - 1) + u * (dot(h11, fx - 1, fz - 1) - dot(h01, fx, fz - 1));
+
+    // Scale so the output roughly fills [-1, 1]
+    return (n0 + v * (n1 - n0)) * 1.4;
+  };
+}
+
+/**
+ * Sum several octaves of a noise function (fractal Brownian motion)
+ * @param {Function} noise - Noise function (x, z)
+ * @param {number} x - X coordinate
+ * @param {number} z - Z coordinate
+ * @param {number} octaves - Number of octaves to sum
+ * @returns {number} - Normalized noise value in roughly [-1, 1]
+ */
+export function fractalNoise(noise, x, z, octaves) {
+  let total = 0;
+  let amplitude = 1;
+  let frequency = 1;
+  let maxAmplitude = 0;
+
+  for (let i = 0; i < octaves; i++) {
+    total += noise(x * frequency, z * frequency) * amplitude;
+    maxAmplitude += amplitude;
+    amplitude *= 0.5;
+    frequency *= 2;
+  }
+
+  return total / maxAmplitude;
+}
@@ -0,0 +1,74 @@
+// Fades foliage that comes between the camera and the character
+import * as THREE from 'three';
+
+// Radius of the see-through tube around the line of sight
+const FADE_RADIUS = 1.4;
+// Fragments this close to the character are never faded
+const FADE_NEAR_TARGET = 0.6;
+
+// Uniforms shared by every fading material
+const occlusionUniforms = {
+  uOcclusionTarget: { value: new THREE.Vector3(0, 0, -1) }, // Character position in view space
+  uOcclusionRadius: { value: FADE_RADIUS },
+  uOcclusionStrength: { value: 0 }
+};
+
+const OCCLUSION_HEADER = /* glsl */`
+uniform vec3 uOcclusionTarget;
+uniform float uOcclusionRadius;
+uniform float uOcclusionStrength;
+`;
+
+// Fragment shader code that dithers away fragments inside the tube from the camera to the character
+const OCCLUSION_FRAGMENT = /* glsl */`
+#include <clipping_planes_fragment>
+{
+  vec3 viewPoint = - vViewPosition;
+  float targetDepth = length( uOcclusionTarget );
+  vec3 sightLine = uOcclusionTarget / targetDepth;
+  float along = dot( viewPoint, sightLine );
+  float across = length( viewPoint - sightLine * along );
+
+  // Soft edges across the tube and towards the character avoid a hard cut-out
+  float inside = 1.0 - smoothstep( uOcclusionRadius * 0.5, uOcclusionRadius, across );
+  inside *= 1.0 - smoothstep( targetDepth - ${FADE_NEAR_TARGET.toFixed(1)} * 2.0, targetDepth - ${FADE_NEAR_TARGET.toFixed(1)}, along );
+  inside *= step( 0.0, along );
+
+  // Screen-door transparency needs no sorting and keeps depth writes intact
+  float dither = fract( 52.9829189 * fract( dot( gl_FragCoord.xy, vec2( 0.06711056, 0.00583715 ) ) ) );
+  if ( dither < inside * uOcclusionStrength * 0.85 ) discard;
+}
+`;
+
+/**
+ * Make a material fade out where it hides the character
+ * Keeps any shader patch the material already has (such as wind).
+ * @param {THREE.Material} material - Material with a view position varying (standard or lambert)
+ * @returns {THREE.Material} - The same material
+ */
+export function applyOcclusionFade(material) {
+  const previousPatch = material.onBeforeCompile;
+  const previousKey = material.customProgramCacheKey();
+
+  material.onBeforeCompile = (shader, renderer) => {
+    previousPatch.call(material, shader, renderer);
+    Object.assign(shader.uniforms, occlusionUniforms);
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', `#include <common>\n${OCCLUSION_HEADER}`)
+      .replace('#include <clipping_planes_fragment>', OCCLUSION_FRAGMENT);
+  };
+  material.customProgramCacheKey = () => `${previousKey}|occlusion`;
+
+  return material;
+}
+
+/**
+ * Point the fade at the character from the camera's current view
+ * @param {THREE.Camera} camera - Camera with an up to date world matrix
+ * @param {THREE.Vector3} target - World position to keep visible
+ * @param {number} strength - How much to fade occluding foliage (0 to 1)
+ */
+export function updateOcclusionFade(camera, target, strength) {
+  occlusionUniforms.uOcclusionTarget.value.copy(target).applyMatrix4(camera.matrixWorldInverse);
+  occlusionUniforms.uOcclusionStrength.value = strength;
+}
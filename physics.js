@@ -1,49 +1,234 @@
 // Physics and collision detection functions
+import { createSpatialGrid } from './spatial.js';
+import { getHeightAt } from './terrain.js';
+import { getWaterLevelAt, getWaterDepthAt, getCurrentAt } from './water.js';
+import { getDefaultWorldConfig } from './config.js';
+import { CHARACTER_HEIGHT, COLLISION_CELL_SIZE } from './constants.js';
+
+// Number of passes used to settle overlaps with several solid objects at once
+const COLLISION_ITERATIONS = 3;
+
+// Collision behaviour for each kind of world object
+const COLLIDER_SHAPES = {
+  tree: { solid: true, speedFactor: 1.0 },
+  bush: { solid: true, speedFactor: 1.0 },
+  rock: { solid: true, speedFactor: 1.0 },
+  log: { solid: true, speedFactor: 1.0 },
+  grass: { solid: false, speedFactor: 0.7 }, // Passable, but drags at your legs
+  fern: { solid: false, speedFactor: 0.85 },
+  reed: { solid: false, speedFactor: 0.6 }
+};
+
+// Collision world populated by the world generators
+const colliderGrid = createSpatialGrid(COLLISION_CELL_SIZE);
+const colliders = new Set();
+
+// Gravity, jump and water settings from the world config
+let settings = getDefaultWorldConfig().physics;
+
+/**
+ * Use the physics settings of a world config
+ * @param {Object} config - World config
+ */
+export function configurePhysics(config) {
+  settings = config.physics;
+}
+
+/**
+ * Get the physics settings in use
+ * @returns {Object} - gravity, jumpForce, swimDepth, wadingSpeedFactor and swimmingSpeedFactor
+ */
+export function getPhysicsSettings() {
+  return settings;
+}
+
+/**
+ * Register a collision circle for a world object
+ * @param {string} kind - Collider kind (see COLLIDER_SHAPES)
+ * @param {number} x - Center x
+ * @param {number} z - Center z
+ * @param {number} radius - Collision radius
+ * @param {Object} [object] - The scene object this collider belongs to
+ * @returns {Object} - The registered collider
+ */
+export function addCollider(kind, x, z, radius, object = null) {
+  if (!COLLIDER_SHAPES[kind]) {
+    throw new Error(`Unknown collider kind: ${kind}`);
+  }
+
+  const collider = { kind, x, z, radius, object };
+  colliderGrid.insert(collider, x, z, radius);
+  colliders.add(collider);
+  return collider;
+}
+
+/**
+ * Remove a registered collider
+ * @param {Object} collider - Collider returned by addCollider
+ */
+export function removeCollider(collider) {
+  colliderGrid.remove(collider);
+  colliders.delete(collider);
+}
+
+/**
+ * Remove all colliders, or only those of one kind
+ * @param {string} [kind] - Collider kind to remove
+ */
+export function clearColliders(kind) {
+  for (const collider of colliders) {
+    if (!kind || collider.kind === kind) {
+      removeCollider(collider);
+    }
+  }
+}
+
+/**
+ * Find colliders near a point
+ * @param {number} x - Query center x
+ * @param {number} z - Query center z
+ * @param {number} radius - Query radius
+ * @param {string} [kind] - Only return colliders of this kind
+ * @returns {Array} - Colliders overlapping the query circle
+ */
+export function queryColliders(x, z, radius, kind) {
+  return colliderGrid.query(x, z, radius).filter((collider) => {
+    if (kind && collider.kind !== kind) return false;
+    const dx = x - collider.x;
+    const dz = z - collider.z;
+    const reach = radius + collider.radius;
+    return dx * dx + dz * dz < reach * reach;
+  });
+}
+
+/**
+ * Resolve all collisions for a character and report the medium it is in
+ * @param {THREE.Vector3} position - Character position, pushed out of solid objects
+ * @param {number} radius - Character collision radius
+ * @returns {Object} - Collision result with collided, speedFactor, waterDepth, waterLevel, medium, surfaceHeight and current
+ */
+export function resolveCollisions(position, radius) {
+  const collided = resolveSolidCollisions(position, radius);
+
+  // Passable objects slow the character down
+  let speedFactor = 1.0;
+  for (const collider of queryColliders(position.x, position.z, radius)) {
+    speedFactor = Math.min(speedFactor, COLLIDER_SHAPES[collider.kind].speedFactor);
+  }
+
+  // Work out how deep the water is under the character
+  const groundHeight = getHeightAt(position.x, position.z);
+  const waterDepth = getWaterDepthAt(position.x, position.z);
+
+  let medium = 'ground';
+  const surfaceHeight = groundHeight + CHARACTER_HEIGHT / 2;
+  const waterLevel = getWaterLevelAt(position.x, position.z);
+  const current = { x: 0, z: 0 };
+
+  if (waterDepth > settings.swimDepth) {
+    // Too deep to stand: the water holds the character up, carried along by the current
+    // (the bottom is still the lowest it can go when diving)
+    medium = 'swimming';
+    speedFactor = Math.min(speedFactor, settings.swimmingSpeedFactor);
+    Object.assign(current, getCurrentAt(position.x, position.z));
+  } else if (waterDepth > 0) {
+    // Feet on the bottom take some of the push of the current
+    medium = 'wading';
+    speedFactor = Math.min(speedFactor, settings.wadingSpeedFactor);
+    const flow = getCurrentAt(position.x, position.z);
+    current.x = flow.x * 0.5;
+    current.z = flow.z * 0.5;
+  }
+
+  return { collided, speedFactor, waterDepth, waterLevel, medium, surfaceHeight, current };
+}
 
 /**
- * Check for collisions with trees
+ * Push a character out of every solid collider it overlaps
  * @param {THREE.Vector3} position - Character position
  * @param {number} radius - Character collision radius
- * @param {Array} trees - Array of tree objects with mesh and radius properties
  * @returns {boolean} - Whether a collision occurred
  */
-export function checkTreeCollisions(position, radius, trees) {
-  for (const tree of trees) {
-    const treePos = tree.mesh.position;
-    const dx = position.x - treePos.x;
-    const dz = position.z - treePos.z;
-    const distance = Math.sqrt(dx * dx + dz * dz);
+function resolveSolidCollisions(position, radius) {
+  let collided = false;
+
+  for (let pass = 0; pass < COLLISION_ITERATIONS; pass++) {
+    let pushed = false;
+
+    // Only colliders sharing a grid cell with the character can overlap it
+    for (const collider of colliderGrid.query(position.x, position.z, radius)) {
+      if (!COLLIDER_SHAPES[collider.kind].solid) continue;
+
+      const dx = position.x - collider.x;
+      const dz = position.z - collider.z;
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      const minDistance = radius + collider.radius;
 
-    if (distance < radius + tree.radius) {
-      // Calculate push direction
-      const pushX = dx / distance;
-      const pushZ = dz / distance;
+      if (distance < minDistance) {
+        // Calculate push direction (any direction works when centered on the object)
+        const pushX = distance > 0 ? dx / distance : 1;
+        const pushZ = distance > 0 ? dz / distance : 0;
 
-      // Push character away from tree
-      position.x = treePos.x + pushX * (radius + tree.radius);
-      position.z = treePos.z + pushZ * (radius + tree.radius);
+        // Push character away from the object
+        position.x = collider.x + pushX * minDistance;
+        position.z = collider.z + pushZ * minDistance;
 
-      return true;
+        pushed = true;
+      }
     }
+
+    if (!pushed) break;
+    collided = true;
   }
-  return false;
+
+  return collided;
 }
 
 /**
- * Check if position is in water
- * @param {THREE.Vector3} position - Position to check
- * @param {THREE.Mesh} waterSurface - Water surface mesh
- * @param {number} WORLD_SIZE - Size of the world
- * @returns {boolean} - Whether the position is in water
+ * Find the first solid object along a horizontal ray
+ * Colliders that already contain the ray's start are ignored.
+ * @param {number} x - Ray start x
+ * @param {number} z - Ray start z
+ * @param {number} dirX - Ray direction x (normalized with dirZ)
+ * @param {number} dirZ - Ray direction z
+ * @param {number} maxDistance - Length of the ray
+ * @param {number} [padding] - Extra radius added to every collider
+ * @returns {number} - Distance to the first hit, or Infinity if nothing is hit
  */
-export function isInWater(position, waterSurface, WORLD_SIZE) {
-  if (!waterSurface) return false;
+export function castRay(x, z, dirX, dirZ, maxDistance, padding = 0) {
+  let nearest = Infinity;
 
-  const waterPos = waterSurface.position;
-  const waterSize = WORLD_SIZE / 6;
+  // Only colliders near the ray's midpoint can be crossed by it
+  const midX = x + dirX * maxDistance / 2;
+  const midZ = z + dirZ * maxDistance / 2;
+  for (const collider of colliderGrid.query(midX, midZ, maxDistance / 2 + padding)) {
+    if (!COLLIDER_SHAPES[collider.kind].solid) continue;
 
-  return (
-    Math.abs(position.x - waterPos.x) < waterSize &&
-    Math.abs(position.z - waterPos.z) < waterSize
-  );
+    // Solve |start + t * dir - center| = radius for the entry point
+    const fx = x - collider.x;
+    const fz = z - collider.z;
+    const radius = collider.radius + padding;
+    const b = fx * dirX + fz * dirZ;
+    const c = fx * fx + fz * fz - radius * radius;
+    if (c < 0) continue;
+
+    const discriminant = b * b - c;
+    if (discriminant < 0) continue;
+
+    const distance = -b - Math.sqrt(discriminant);
+    if (distance >= 0 && distance < maxDistance && distance < nearest) {
+      nearest = distance;
+    }
+  }
+
+  return nearest;
+}
+
+/**
+ * Check if position is in water
+ * @param {THREE.Vector3} position - Position to check
+ * @returns {boolean} - Whether the position is over a lake or river
+ */
+export function isInWater(position) {
+  return getWaterLevelAt(position.x, position.z) !== null;
 }
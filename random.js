@@ -0,0 +1,66 @@
+// Seedable pseudo-random number generation for reproducible worlds
+
+let currentSeed = 0;
+let generator = createRandom(0);
+
+/**
+ * Convert a seed value (number or string) into a 32-bit unsigned integer
+ * @param {number|string} seed - Seed to hash
+ * @returns {number} - 32-bit unsigned integer seed
+ */
+export function hashSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(seed) >>> 0;
+  }
+
+  // FNV-1a hash for string seeds
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create an independent random generator (mulberry32)
+ * @param {number|string} seed - Seed for the generator
+ * @returns {Function} - Function returning a float in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Reset the shared generator used by the world generators
+ * @param {number|string} seed - Seed for the world
+ */
+export function setSeed(seed) {
+  currentSeed = hashSeed(seed);
+  generator = createRandom(currentSeed);
+}
+
+/**
+ * Get the seed the shared generator was last reset with
+ * @returns {number} - The current world seed
+ */
+export function getSeed() {
+  return currentSeed;
+}
+
+/**
+ * Get the next value from the shared generator
+ * @returns {number} - A float in [0, 1)
+ */
+export function random() {
+  return generator();
+}
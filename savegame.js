@@ -0,0 +1,218 @@
+// Save and load the game: world seed and chunks, character, wind, weather and time of day
+import { character, movementState, cameraOrbit, getCameraMode, setCameraMode } from './character.js';
+import { resetSimulation } from './simulation.js';
+import { getSeed, setSeed } from './random.js';
+import { generateTerrain } from './terrain.js';
+import { generateWater } from './water.js';
+import { generateBiomes } from './biome.js';
+import { getLoadedChunks, restoreChunks } from './world.js';
+import { getWindSnapshot, restoreWindSnapshot } from './animation.js';
+import { getTimeOfDay, setTimeOfDay, getTimeScale, setTimeScale } from './daycycle.js';
+import { getWeather, setWeather } from './weather.js';
+
+// Marks a JSON file as a save from this game
+const SAVE_FORMAT = 'forest-echo-save';
+// Bump when the snapshot layout changes, and add a migration from the old version
+const SAVE_VERSION = 2;
+// Saves are kept in localStorage under this prefix and a slot name
+const STORAGE_PREFIX = 'forest-echo-save:';
+
+// Upgrades keyed by the version they upgrade from; each returns a snapshot one version newer
+const MIGRATIONS = {
+  // Version 2 added the breath meter for diving
+  1: (snapshot) => ({
+    ...snapshot,
+    version: 2,
+    movement: { ...snapshot.movement, breath: 1, outOfBreath: false }
+  })
+};
+
+/**
+ * Capture the game state as a plain JSON-friendly object
+ * The forest is regenerated from the seed, so only the seed and loaded chunks are stored.
+ * @returns {Object} - Versioned snapshot
+ */
+export function createSnapshot() {
+  if (!character) {
+    throw new Error('Cannot save before the character has loaded');
+  }
+
+  return {
+    format: SAVE_FORMAT,
+    version: SAVE_VERSION,
+    savedAt: new Date().toISOString(),
+    world: {
+      seed: getSeed(),
+      chunks: getLoadedChunks().map((chunk) => [chunk.cx, chunk.cz])
+    },
+    character: {
+      position: character.position.toArray(),
+      heading: character.rotation.y
+    },
+    movement: {
+      velocity: movementState.velocity.toArray(),
+      canJump: movementState.canJump,
+      airTime: movementState.airTime,
+      stamina: movementState.stamina,
+      exhausted: movementState.exhausted,
+      crouchAmount: movementState.crouchAmount,
+      breath: movementState.breath,
+      outOfBreath: movementState.outOfBreath
+    },
+    camera: {
+      mode: getCameraMode(),
+      yaw: cameraOrbit.yaw,
+      pitch: cameraOrbit.pitch,
+      distance: cameraOrbit.distance,
+      steerCharacter: cameraOrbit.steerCharacter
+    },
+    wind: getWindSnapshot(),
+    time: {
+      timeOfDay: getTimeOfDay(),
+      timeScale: getTimeScale()
+    },
+    weather: getWeather()
+  };
+}
+
+/**
+ * Rebuild the game from a snapshot, upgrading it from older versions first
+ * @param {Object} snapshot - Snapshot from createSnapshot, possibly from an older version
+ */
+export function applySnapshot(snapshot) {
+  if (!character) {
+    throw new Error('Cannot load before the character has loaded');
+  }
+  const state = migrateSnapshot(snapshot);
+
+  // Regenerate the terrain and forest when the save comes from another world
+  const seedChanged = state.world.seed !== getSeed();
+  if (seedChanged) {
+    setSeed(state.world.seed);
+    generateWater();
+    generateTerrain();
+    generateBiomes();
+  }
+  restoreChunks(state.world.chunks, seedChanged);
+
+  character.position.fromArray(state.character.position);
+  character.rotation.y = state.character.heading;
+  resetSimulation();
+
+  movementState.velocity.fromArray(state.movement.velocity);
+  movementState.canJump = state.movement.canJump;
+  movementState.airTime = state.movement.airTime;
+  movementState.stamina = state.movement.stamina;
+  movementState.exhausted = state.movement.exhausted;
+  movementState.crouchAmount = state.movement.crouchAmount;
+  movementState.breath = state.movement.breath;
+  movementState.outOfBreath = state.movement.outOfBreath;
+
+  cameraOrbit.yaw = state.camera.yaw;
+  cameraOrbit.pitch = state.camera.pitch;
+  cameraOrbit.distance = state.camera.distance;
+  cameraOrbit.steerCharacter = state.camera.steerCharacter;
+  setCameraMode(state.camera.mode);
+
+  restoreWindSnapshot(state.wind);
+  setTimeOfDay(state.time.timeOfDay);
+  setTimeScale(state.time.timeScale);
+  setWeather(state.weather, 0);
+}
+
+/**
+ * Save the game to localStorage
+ * @param {string} [slot] - Save slot name
+ * @returns {Object} - The snapshot saved
+ */
+export function saveGame(slot = 'quicksave') {
+  const snapshot = createSnapshot();
+  window.localStorage.setItem(STORAGE_PREFIX + slot, JSON.stringify(snapshot));
+  return snapshot;
+}
+
+/**
+ * Load the game from localStorage
+ * @param {string} [slot] - Save slot name
+ * @returns {boolean} - Whether there was a save to load
+ */
+export function loadGame(slot = 'quicksave') {
+  const saved = window.localStorage.getItem(STORAGE_PREFIX + slot);
+  if (saved === null) return false;
+
+  applySnapshot(JSON.parse(saved));
+  return true;
+}
+
+/**
+ * Check whether a save slot holds a game
+ * @param {string} [slot] - Save slot name
+ * @returns {boolean} - Whether the slot is used
+ */
+export function hasSavedGame(slot = 'quicksave') {
+  return window.localStorage.getItem(STORAGE_PREFIX + slot) !== null;
+}
+
+/**
+ * Download the game as a JSON file
+ */
+export function exportSaveFile() {
+  const snapshot = createSnapshot();
+  const blob = new Blob([JSON.stringify(snapshot, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `forest-echo-${snapshot.world.seed}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Load the game from a JSON file exported with exportSaveFile
+ * @param {File} file - Save file, e.g. from a file input or a drop
+ * @returns {Promise<void>} - Resolves once the game is rebuilt
+ */
+export async function importSaveFile(file) {
+  const text = await file.text();
+  let snapshot;
+  try {
+    snapshot = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${file.name} is not valid JSON: ${error.message}`);
+  }
+  applySnapshot(snapshot);
+}
+
+/**
+ * Check a snapshot is a save from this game and upgrade it to the current version
+ * @param {Object} snapshot - Snapshot of any version
+ * @returns {Object} - Snapshot in the current layout
+ */
+function migrateSnapshot(snapshot) {
+  if (!snapshot || snapshot.format !== SAVE_FORMAT) {
+    throw new Error('Not a Forest Echo save');
+  }
+  if (!Number.isInteger(snapshot.version) || snapshot.version < 1) {
+    throw new Error(`Save has an invalid version: ${snapshot.version}`);
+  }
+  if (snapshot.version > SAVE_VERSION) {
+    throw new Error(`Save version ${snapshot.version} is newer than this game supports (${SAVE_VERSION})`);
+  }
+
+  let state = snapshot;
+  while (state.version < SAVE_VERSION) {
+    const migrate = MIGRATIONS[state.version];
+    if (!migrate) {
+      throw new Error(`No migration from save version ${state.version}`);
+    }
+    state = migrate(state);
+  }
+
+  for (const section of ['world', 'character', 'movement', 'camera', 'wind', 'time']) {
+    if (typeof state[section] !== 'object' || state[section] === null) {
+      throw new Error(`Save is missing its ${section} section`);
+    }
+  }
+  return state;
+}
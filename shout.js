@@ -0,0 +1,151 @@
+// Shout and echo playback through the Web Audio API
+import * as THREE from 'three';
+import { computeEchoes, createTreeReflectors, createWaterReflector } from './echo.js';
+import { queryColliders } from './physics.js';
+import { getAudioOutput } from './audio.js';
+import { getWaterBodiesNear, getNearestShore } from './water.js';
+import { ECHO_RANGE } from './constants.js';
+
+// Length of the synthesized call in seconds
+const SHOUT_DURATION = 0.6;
+
+let reverbBuffer = null;
+
+/**
+ * Shout from a position and play back the echoes from nearby trees and water
+ * @param {THREE.Vector3} position - Where the shout comes from
+ * @param {number} heading - Facing angle of the shouter (radians)
+ */
+export function shout(position, heading) {
+  const listener = { x: position.x, z: position.z, heading };
+
+  // Gather everything that can throw the call back
+  const trees = queryColliders(position.x, position.z, ECHO_RANGE, 'tree');
+  const reflectors = createTreeReflectors(listener, trees);
+  for (const body of getWaterBodiesNear(position.x, position.z, ECHO_RANGE)) {
+    reflectors.push(createWaterReflector(listener, getNearestShore(body, position.x, position.z)));
+  }
+
+  playShout(computeEchoes(reflectors), trees.length);
+}
+
+/**
+ * Play a shout followed by its echoes
+ * @param {Array} echoes - Echoes from computeEchoes
+ * @param {number} treeCount - Number of nearby trees, used for reverb density
+ */
+function playShout(echoes, treeCount) {
+  const context = THREE.AudioContext.getContext();
+  if (context.state === 'suspended') {
+    context.resume();
+  }
+
+  const output = getAudioOutput();
+  const now = context.currentTime;
+  const voice = createVoice(context, now);
+
+  // Direct sound
+  voice.connect(output);
+
+  // Discrete echoes: delay, attenuate, pan and dull each reflection
+  const maxDelay = echoes.reduce((max, echo) => Math.max(max, echo.delay), 0);
+  for (const echo of echoes) {
+    const delay = context.createDelay(Math.max(1, echo.delay + 0.1));
+    delay.delayTime.value = echo.delay;
+
+    const filter = context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = 4000 - echo.damping * 3000;
+
+    const gain = context.createGain();
+    gain.gain.value = echo.gain;
+
+    const panner = context.createStereoPanner();
+    panner.pan.value = echo.pan;
+
+    voice.connect(delay);
+    delay.connect(filter);
+    filter.connect(gain);
+    gain.connect(panner);
+    panner.connect(output);
+  }
+
+  // Diffuse tail: denser forests scatter more sound back
+  const convolver = context.createConvolver();
+  convolver.buffer = getReverbBuffer(context);
+  const reverbGain = context.createGain();
+  reverbGain.gain.value = Math.min(0.4, 0.05 + treeCount * 0.01);
+  voice.connect(convolver);
+  convolver.connect(reverbGain);
+  reverbGain.connect(output);
+
+  // Release the graph once the last echo and the tail have faded
+  setTimeout(() => {
+    voice.disconnect();
+    convolver.disconnect();
+    reverbGain.disconnect();
+  }, (SHOUT_DURATION + maxDelay + 3) * 1000);
+}
+
+/**
+ * Synthesize a short "hey-oh" call
+ * @param {AudioContext} context - Audio context
+ * @param {number} startTime - Context time to start the call
+ * @returns {GainNode} - Output node of the voice
+ */
+function createVoice(context, startTime) {
+  const oscillator = context.createOscillator();
+  oscillator.type = 'sawtooth';
+  oscillator.frequency.setValueAtTime(220, startTime);
+  oscillator.frequency.linearRampToValueAtTime(320, startTime + SHOUT_DURATION * 0.3);
+  oscillator.frequency.linearRampToValueAtTime(190, startTime + SHOUT_DURATION);
+
+  // Two vowel formants give the buzz a voice-like colour
+  const output = context.createGain();
+  for (const [frequency, q, level] of [[800, 6, 1.0], [1200, 8, 0.6]]) {
+    const formant = context.createBiquadFilter();
+    formant.type = 'bandpass';
+    formant.frequency.value = frequency;
+    formant.Q.value = q;
+
+    const formantGain = context.createGain();
+    formantGain.gain.value = level;
+
+    oscillator.connect(formant);
+    formant.connect(formantGain);
+    formantGain.connect(output);
+  }
+
+  // Amplitude envelope
+  output.gain.setValueAtTime(0, startTime);
+  output.gain.linearRampToValueAtTime(0.8, startTime + 0.05);
+  output.gain.setValueAtTime(0.8, startTime + SHOUT_DURATION * 0.7);
+  output.gain.linearRampToValueAtTime(0, startTime + SHOUT_DURATION);
+
+  oscillator.start(startTime);
+  oscillator.stop(startTime + SHOUT_DURATION);
+  oscillator.onended = () => oscillator.disconnect();
+
+  return output;
+}
+
+/**
+ * Get (and lazily build) a decaying noise impulse response for the reverb tail
+ * @param {AudioContext} context - Audio context
+ * @returns {AudioBuffer} - Stereo impulse response
+ */
+function getReverbBuffer(context) {
+  if (reverbBuffer) return reverbBuffer;
+
+  const length = Math.floor(context.sampleRate * 2.5);
+  reverbBuffer = context.createBuffer(2, length, context.sampleRate);
+
+  for (let channel = 0; channel < 2; channel++) {
+    const data = reverbBuffer.getChannelData(channel);
+    for (let i = 0; i < length; i++) {
+      data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 3);
+    }
+  }
+
+  return reverbBuffer;
+}
@@ -0,0 +1,330 @@
+// Fixed-timestep character simulation, so movement and physics do not depend on the frame rate
+import * as THREE from 'three';
+import { character, movementState, updateCharacterRotation } from './character.js';
+import { resolveCollisions, getPhysicsSettings } from './physics.js';
+import { getHeightAt } from './terrain.js';
+import { updateWorld } from './world.js';
+import { CHARACTER_SPEED, CHARACTER_HEIGHT, CHARACTER_RADIUS, SIMULATION_TIMESTEP, MAX_FRAME_TIME, SPRINT_SPEED_FACTOR, CROUCH_SPEED_FACTOR, ACCELERATION_TIME, DECELERATION_TIME, STAMINA_DRAIN_TIME, STAMINA_RECOVERY_TIME, SPRINT_RECOVERY_STAMINA, CROUCH_TRANSITION_TIME, BREATH_TIME, BREATH_RECOVERY_TIME, DIVE_RECOVERY_BREATH } from './constants.js';
+
+// Slack when comparing accumulated time, so 1/30 s frames always run exactly two 1/60 s steps
+const TIME_EPSILON = 1e-9;
+
+// Vertical drag of the water per second, so the character bobs to rest at the surface instead of springing
+const WATER_DRAG = 4.0;
+// How hard the character swims down when diving, and back up when surfacing
+const DIVE_ACCELERATION = 20.0;
+const SURFACING_ACCELERATION = 15.0;
+// Horizontal speed changes take this much longer in deep water, so swimming glides
+const SWIM_INERTIA = 2.0;
+// Depth of the eyes below the top of the head, for telling when the head is under water
+const EYE_DEPTH = 0.2;
+// Upward kick of a jump from the surface, and the share of a normal jump left in shallow water
+const SWIM_JUMP_SPEED = 5.0;
+const WADING_JUMP_FACTOR = 0.6;
+// Highest bank above the water a swimmer can haul out onto, how far ahead it may be,
+// how far above it the character clears the edge, and how fast and for how long it is carried over
+const CLIMB_OUT_HEIGHT = 1.2;
+const CLIMB_OUT_REACH = CHARACTER_RADIUS + 0.5;
+const CLIMB_OUT_CLEARANCE = 0.3;
+const CLIMB_OUT_SPEED = CHARACTER_SPEED * 0.1;
+const CLIMB_OUT_TIME = 0.4;
+
+// Movement input seen by the last step (z is forward, x is right, length up to 1)
+export const moveDirection = new THREE.Vector3();
+
+// Result of the last collision pass: ground medium, speed factor, surface height, water level and current
+export const collisionState = { speedFactor: 1.0, medium: 'ground', waterLevel: null, current: { x: 0, z: 0 } };
+
+// Character transform after the last two steps, blended for rendering
+const previousState = { position: new THREE.Vector3(), heading: 0 };
+const currentState = { position: new THREE.Vector3(), heading: 0 };
+let accumulator = 0;
+// Seconds left of hauling out onto a bank, and which way the character is carried
+let climbTime = 0;
+const climbDirection = { x: 0, z: 0 };
+
+/**
+ * Restart the simulation from the character's current transform
+ * Call after placing the character directly, so it is not blended back from its old spot.
+ */
+export function resetSimulation() {
+  if (!character) return;
+  accumulator = 0;
+  climbTime = 0;
+  currentState.position.copy(character.position);
+  currentState.heading = character.rotation.y;
+  previousState.position.copy(currentState.position);
+  previousState.heading = currentState.heading;
+}
+
+/**
+ * Jump, if the character is standing on something
+ * Swimming at the surface, a jump hauls the character out onto a low bank ahead, or kicks it up out of the water.
+ */
+export function jump() {
+  const { jumpForce, gravity } = getPhysicsSettings();
+  const velocity = movementState.velocity;
+
+  if (collisionState.medium === 'swimming') {
+    // Under water, holding jump swims back up instead
+    if (getSubmersion() === 0 || isHeadUnderwater()) return;
+
+    const bank = findClimbableBank();
+    if (bank === null) {
+      velocity.y = SWIM_JUMP_SPEED;
+      return;
+    }
+
+    // Rise just high enough to clear the edge, carried forward over it
+    const rise = bank + CHARACTER_HEIGHT / 2 + CLIMB_OUT_CLEARANCE - character.position.y;
+    velocity.y = Math.sqrt(2 * gravity * Math.max(rise, 0));
+    climbTime = CLIMB_OUT_TIME;
+    climbDirection.x = Math.sin(character.rotation.y);
+    climbDirection.z = Math.cos(character.rotation.y);
+    return;
+  }
+
+  if (movementState.canJump) {
+    // Shallow water holds the legs back
+    velocity.y = collisionState.medium === 'wading' ? jumpForce * WADING_JUMP_FACTOR : jumpForce;
+  }
+  movementState.canJump = false;
+}
+
+/**
+ * Run as many fixed steps as the elapsed time calls for, then place the character
+ * between the last two steps for rendering
+ * @param {number} frameTime - Real time since the last frame in seconds
+ * @returns {number} - How far rendering is between the last two steps (0 to 1)
+ */
+export function advanceSimulation(frameTime) {
+  if (!character) return 0;
+
+  // Put the character back where the last step left it
+  character.position.copy(currentState.position);
+  character.rotation.y = currentState.heading;
+
+  accumulator += Math.min(frameTime, MAX_FRAME_TIME);
+  while (accumulator >= SIMULATION_TIMESTEP - TIME_EPSILON) {
+    previousState.position.copy(currentState.position);
+    previousState.heading = currentState.heading;
+
+    stepCharacter(SIMULATION_TIMESTEP);
+
+    currentState.position.copy(character.position);
+    currentState.heading = character.rotation.y;
+    accumulator -= SIMULATION_TIMESTEP;
+  }
+
+  // Blend for rendering, turning the short way round
+  const alpha = THREE.MathUtils.clamp(accumulator / SIMULATION_TIMESTEP, 0, 1);
+  const turn = THREE.MathUtils.euclideanModulo(currentState.heading - previousState.heading + Math.PI, Math.PI * 2) - Math.PI;
+  character.position.lerpVectors(previousState.position, currentState.position, alpha);
+  character.rotation.y = previousState.heading + turn * alpha;
+
+  return alpha;
+}
+
+/**
+ * Advance the character by one fixed step: turning, walking, gravity or buoyancy, collisions and breath
+ * @param {number} dt - Step length in seconds
+ */
+function stepCharacter(dt) {
+  // Forward/backward and sideways input, partly pressed sticks move slower
+  moveDirection.z = THREE.MathUtils.clamp(
+    Number(movementState.moveForward) - Number(movementState.moveBackward) + movementState.forward,
+    -1, 1
+  );
+  moveDirection.x = Number(movementState.strafeRight) - Number(movementState.strafeLeft);
+  if (moveDirection.lengthSq() > 1) moveDirection.normalize();
+  const isMoving = moveDirection.x !== 0 || moveDirection.z !== 0;
+
+  // Turn first, so the step moves along the new heading
+  updateCharacterRotation(dt, isMoving);
+
+  // Ease in and out of a crouch; in deep water the crouch control dives instead
+  const isSwimming = collisionState.medium === 'swimming';
+  const crouchTarget = Number(movementState.crouch && !isSwimming);
+  const crouchChange = dt / CROUCH_TRANSITION_TIME;
+  movementState.crouchAmount += THREE.MathUtils.clamp(crouchTarget - movementState.crouchAmount, -crouchChange, crouchChange);
+
+  // Sprinting only speeds up walking forwards, and only while stamina lasts
+  const isSprinting = updateStamina(dt, movementState.sprint && moveDirection.z > 0 && !movementState.crouch);
+
+  // Target velocity in units per second, slower in grass and water
+  let speed = CHARACTER_SPEED * collisionState.speedFactor;
+  if (isSprinting) speed *= SPRINT_SPEED_FACTOR;
+  speed *= THREE.MathUtils.lerp(1, CROUCH_SPEED_FACTOR, movementState.crouchAmount);
+
+  // Forward is the way the character faces, right is to its right as seen from behind
+  const angle = character.rotation.y;
+  // In a river the current adds to whatever the character is doing
+  let targetX = (Math.sin(angle) * moveDirection.z - Math.cos(angle) * moveDirection.x) * speed + collisionState.current.x;
+  let targetZ = (Math.cos(angle) * moveDirection.z + Math.sin(angle) * moveDirection.x) * speed + collisionState.current.z;
+
+  // Hauling out onto a bank carries the character over the edge, whatever the input
+  const isClimbing = climbTime > 0;
+  if (isClimbing) {
+    climbTime = Math.max(climbTime - dt, 0);
+    targetX = climbDirection.x * CLIMB_OUT_SPEED;
+    targetZ = climbDirection.z * CLIMB_OUT_SPEED;
+  }
+
+  // Speed up and slow down gradually instead of starting and stopping dead
+  const rate = CHARACTER_SPEED / (isMoving || isClimbing ? ACCELERATION_TIME : DECELERATION_TIME) / (isSwimming ? SWIM_INERTIA : 1);
+  approachVelocity(targetX, targetZ, rate * dt);
+
+  // Apply gravity, or buoyancy and drag in deep water, then move (semi-implicit Euler)
+  if (isSwimming) {
+    applyWaterForces(dt);
+  } else {
+    movementState.velocity.y -= getPhysicsSettings().gravity * dt;
+  }
+  character.position.addScaledVector(movementState.velocity, dt);
+
+  // Stream chunks in and out around the character, so colliders are in place before they are needed
+  updateWorld(character.position);
+
+  // Resolve collisions with trees, undergrowth and water
+  Object.assign(collisionState, resolveCollisions(character.position, CHARACTER_RADIUS));
+
+  // Check if character is on the ground (or the bottom when diving)
+  if (character.position.y < collisionState.surfaceHeight) {
+    movementState.velocity.y = 0;
+    character.position.y = collisionState.surfaceHeight;
+    movementState.canJump = true;
+    movementState.airTime = 0;
+    if (collisionState.medium !== 'swimming') climbTime = 0;
+  } else if (collisionState.medium === 'swimming' && getSubmersion() > 0) {
+    // Held up by the water
+    movementState.airTime = 0;
+  } else {
+    movementState.airTime += dt;
+  }
+
+  updateBreath(dt, isHeadUnderwater());
+}
+
+/**
+ * Float the character with buoyancy and water drag, and swim it up or down
+ * Buoyancy balances gravity with swimDepth of the body under water, so that is where it comes to rest.
+ * @param {number} dt - Step length in seconds
+ */
+function applyWaterForces(dt) {
+  const { gravity, swimDepth } = getPhysicsSettings();
+  const velocity = movementState.velocity;
+  const submersion = getSubmersion();
+
+  const floatingSubmersion = THREE.MathUtils.clamp(swimDepth / CHARACTER_HEIGHT, 0.1, 1);
+  velocity.y += gravity * (submersion / floatingSubmersion - 1) * dt;
+
+  // Diving only lasts as long as the breath; running out sends the character back up
+  if (submersion > 0) {
+    if (movementState.crouch && !movementState.outOfBreath) {
+      velocity.y -= DIVE_ACCELERATION * dt;
+    } else if ((movementState.swimUp || movementState.outOfBreath) && isHeadUnderwater()) {
+      velocity.y += SURFACING_ACCELERATION * dt;
+    }
+  }
+
+  velocity.y *= Math.exp(-WATER_DRAG * submersion * dt);
+}
+
+/**
+ * Measure how much of the character is under water
+ * @returns {number} - Share of its height below the surface (0 to 1)
+ */
+function getSubmersion() {
+  if (collisionState.waterLevel === null) return 0;
+  const feet = character.position.y - CHARACTER_HEIGHT / 2;
+  return THREE.MathUtils.clamp((collisionState.waterLevel - feet) / CHARACTER_HEIGHT, 0, 1);
+}
+
+/**
+ * Check if the character's eyes are below the water surface
+ * @returns {boolean} - Whether the head is under water
+ */
+function isHeadUnderwater() {
+  if (collisionState.waterLevel === null) return false;
+  return character.position.y + CHARACTER_HEIGHT / 2 - EYE_DEPTH < collisionState.waterLevel;
+}
+
+/**
+ * Look for a bank just ahead of a swimmer, low enough to haul out onto
+ * @returns {?number} - Ground height of the bank, or null if there is none within reach
+ */
+function findClimbableBank() {
+  const angle = character.rotation.y;
+  const ground = getHeightAt(
+    character.position.x + Math.sin(angle) * CLIMB_OUT_REACH,
+    character.position.z + Math.cos(angle) * CLIMB_OUT_REACH
+  );
+
+  // Ground still deep under water is swum over, not climbed
+  const level = collisionState.waterLevel;
+  if (ground < level - getPhysicsSettings().swimDepth || ground > level + CLIMB_OUT_HEIGHT) return null;
+  return ground;
+}
+
+/**
+ * Use up breath while the head is under water and get it back at the surface
+ * @param {number} dt - Step length in seconds
+ * @param {boolean} isUnderwater - Whether the head is under water
+ */
+function updateBreath(dt, isUnderwater) {
+  // After running out, diving waits until some breath has come back
+  if (movementState.outOfBreath && movementState.breath >= DIVE_RECOVERY_BREATH) {
+    movementState.outOfBreath = false;
+  }
+
+  if (isUnderwater) {
+    movementState.breath = Math.max(movementState.breath - dt / BREATH_TIME, 0);
+    if (movementState.breath === 0) movementState.outOfBreath = true;
+  } else {
+    movementState.breath = Math.min(movementState.breath + dt / BREATH_RECOVERY_TIME, 1);
+  }
+}
+
+/**
+ * Drain stamina while sprinting and refill it otherwise
+ * @param {number} dt - Step length in seconds
+ * @param {boolean} wantsSprint - Whether the player is trying to sprint
+ * @returns {boolean} - Whether the character sprints this step
+ */
+function updateStamina(dt, wantsSprint) {
+  // After running out, sprinting waits until some stamina has come back
+  if (movementState.exhausted && movementState.stamina >= SPRINT_RECOVERY_STAMINA) {
+    movementState.exhausted = false;
+  }
+
+  const isSprinting = wantsSprint && !movementState.exhausted;
+  if (isSprinting) {
+    movementState.stamina = Math.max(movementState.stamina - dt / STAMINA_DRAIN_TIME, 0);
+    if (movementState.stamina === 0) movementState.exhausted = true;
+  } else {
+    movementState.stamina = Math.min(movementState.stamina + dt / STAMINA_RECOVERY_TIME, 1);
+  }
+
+  return isSprinting;
+}
+
+/**
+ * Move the horizontal velocity towards a target without changing it by more than a limit
+ * @param {number} targetX - Target x velocity
+ * @param {number} targetZ - Target z velocity
+ * @param {number} maxChange - Largest change allowed this step
+ */
+function approachVelocity(targetX, targetZ, maxChange) {
+  const velocity = movementState.velocity;
+  const dx = targetX - velocity.x;
+  const dz = targetZ - velocity.z;
+  const distance = Math.hypot(dx, dz);
+
+  if (distance <= maxChange) {
+    velocity.x = targetX;
+    velocity.z = targetZ;
+  } else {
+    velocity.x += dx / distance * maxChange;
+    velocity.z += dz / distance * maxChange;
+  }
+}
@@ -0,0 +1,109 @@
+// Uniform grid spatial index for fast proximity queries
+
+/**
+ * Pack integer cell coordinates into a single map key
+ * @param {number} cellX - Cell column
+ * @param {number} cellZ - Cell row
+ * @returns {number} - Unique key for the cell
+ */
+function cellKey(cellX, cellZ) {
+  return (cellX + 32768) * 65536 + (cellZ + 32768);
+}
+
+/**
+ * Create a spatial hash grid over the XZ plane
+ * Items are circles and are stored in every cell their bounds overlap.
+ * @param {number} cellSize - Width of a grid cell in world units
+ * @returns {Object} - Grid with insert, remove, query and clear methods
+ */
+export function createSpatialGrid(cellSize) {
+  const cells = new Map();
+  const itemCells = new Map();
+
+  /**
+   * Visit every cell key overlapping a circle's bounding square
+   * @param {number} x - Circle center x
+   * @param {number} z - Circle center z
+   * @param {number} radius - Circle radius
+   * @param {Function} callback - Called with each cell key
+   */
+  function forEachCell(x, z, radius, callback) {
+    const minX = Math.floor((x - radius) / cellSize);
+    const maxX = Math.floor((x + radius) / cellSize);
+    const minZ = Math.floor((z - radius) / cellSize);
+    const maxZ = Math.floor((z + radius) / cellSize);
+
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cz = minZ; cz <= maxZ; cz++) {
+        callback(cellKey(cx, cz));
+      }
+    }
+  }
+
+  return {
+    /**
+     * Add an item covering a circle on the XZ plane
+     * @param {Object} item - Item to store
+     * @param {number} x - Item center x
+     * @param {number} z - Item center z
+     * @param {number} radius - Item radius
+     */
+    insert(item, x, z, radius) {
+      const keys = [];
+      forEachCell(x, z, radius, (key) => {
+        let cell = cells.get(key);
+        if (!cell) {
+          cell = [];
+          cells.set(key, cell);
+        }
+        cell.push(item);
+        keys.push(key);
+      });
+      itemCells.set(item, keys);
+    },
+
+    /**
+     * Remove a previously inserted item
+     * @param {Object} item - Item to remove
+     */
+    remove(item) {
+      const keys = itemCells.get(item);
+      if (!keys) return;
+
+      for (const key of keys) {
+        const cell = cells.get(key);
+        const index = cell.indexOf(item);
+        if (index !== -1) cell.splice(index, 1);
+        if (cell.length === 0) cells.delete(key);
+      }
+      itemCells.delete(item);
+    },
+
+    /**
+     * Find items whose cells overlap a circle
+     * @param {number} x - Query center x
+     * @param {number} z - Query center z
+     * @param {number} radius - Query radius
+     * @returns {Array} - Candidate items, each listed once
+     */
+    query(x, z, radius) {
+      const found = new Set();
+      forEachCell(x, z, radius, (key) => {
+        const cell = cells.get(key);
+        if (!cell) return;
+        for (const item of cell) {
+          found.add(item);
+        }
+      });
+      return Array.from(found);
+    },
+
+    /**
+     * Remove all items from the grid
+     */
+    clear() {
+      cells.clear();
+      itemCells.clear();
+    }
+  };
+}
@@ -0,0 +1,550 @@
+// Tree and plant species: how each one is built, how it collides and how it takes the wind
+import * as THREE from 'three';
+import { LOD_MID_DISTANCE } from './constants.js';
+
+/**
+ * Every species the forest can grow
+ * build makes the instanced parts (see FOREST_BATCHES in forest.js) of one plant.
+ * collider is the physics collider kind (null for plants you walk straight over),
+ * radius its collision radius before scaling, and windResponse scales how far
+ * every part sways. scale is the range plants are randomly sized in, and
+ * drawDistance overrides how far away undergrowth stays visible.
+ */
+export const SPECIES = {
+  pine: { build: buildPine, collider: 'tree', radius: 0.7, windResponse: 1.0, scale: [0.5, 1.2] },
+  deciduous: { build: buildDeciduous, collider: 'tree', radius: 0.7, windResponse: 1.0, scale: [0.5, 1.2] },
+  birch: { build: buildBirch, collider: 'tree', radius: 0.45, windResponse: 1.4, scale: [0.6, 1.1] }, // Light crown that shivers in a breeze
+  oak: { build: buildOak, collider: 'tree', radius: 1.1, windResponse: 0.6, scale: [0.7, 1.3] }, // Heavy limbs barely move
+  dead: { build: buildDeadTree, collider: 'tree', radius: 0.6, windResponse: 0.3, scale: [0.6, 1.2] },
+  bush: { build: buildBush, collider: 'bush', radius: 0.8, windResponse: 1.0 },
+  grass: { build: buildGrass, collider: 'grass', radius: 0.5, windResponse: 1.0 },
+  fern: { build: buildFern, collider: 'fern', radius: 0.8, windResponse: 1.2, scale: [0.7, 1.3] },
+  reed: { build: buildReeds, collider: 'reed', radius: 0.7, windResponse: 1.5, maxWaterDepth: 0.6 }, // Grows in the shallows
+  mushroom: { build: buildMushrooms, collider: null, radius: 0, windResponse: 0 },
+  rock: { build: buildRock, collider: 'rock', radius: 1.0, windResponse: 0, drawDistance: LOD_MID_DISTANCE },
+  log: { build: buildFallenLog, collider: 'log', radius: 0.5, windResponse: 0, drawDistance: LOD_MID_DISTANCE }
+};
+
+// Different shades of green for bushes
+const BUSH_COLORS = [0x1e4d2b, 0x2d5f3e, 0x1a3a24];
+// Cap colours for mushrooms: fly agaric red, brown and pale tan
+const MUSHROOM_COLORS = [0xa3241a, 0x7a4a24, 0xc8a878];
+// Radius of the bush geometries (see FOREST_BATCHES)
+const BUSH_RADIUS = { bushLarge: 1.0, bushSmall: 0.8 };
+
+// Scratch objects for building part transforms
+const partMatrix = new THREE.Matrix4();
+const partPosition = new THREE.Vector3();
+const partRotation = new THREE.Euler();
+const partQuaternion = new THREE.Quaternion();
+const partScale = new THREE.Vector3();
+const plantRotation = new THREE.Quaternion();
+
+/**
+ * Grow one plant of a species
+ * @param {string} name - Key into SPECIES
+ * @param {THREE.Vector3} position - Ground position of the plant
+ * @param {Function} random - Random number generator for the plant's chunk
+ * @returns {Object} - Plant record with its species, collider kind, parts and collision circles
+ */
+export function createPlant(name, position, random) {
+  const species = SPECIES[name];
+  if (!species) {
+    throw new Error(`Unknown species: ${name}`);
+  }
+
+  const scale = species.scale ? species.scale[0] + random() * (species.scale[1] - species.scale[0]) : 1;
+  const baseMatrix = new THREE.Matrix4().compose(position, plantRotation, new THREE.Vector3(scale, scale, scale));
+  const plant = species.build(baseMatrix, random);
+  const radius = (plant.radius ?? species.radius) * scale;
+
+  for (const parts of [plant.parts, plant.midParts || [], plant.farParts || []]) {
+    for (const part of parts) {
+      part.windFactor *= species.windResponse;
+    }
+  }
+
+  // Most plants collide as one circle; long ones like logs give a row of circles
+  const circles = plant.circles
+    ? plant.circles.map(([x, z, r]) => ({ x: position.x + x * scale, z: position.z + z * scale, radius: r * scale }))
+    : [{ x: position.x, z: position.z, radius }];
+
+  return {
+    species: name,
+    kind: species.collider,
+    position: position.clone(),
+    scale,
+    radius,
+    circles: species.collider ? circles : [],
+    drawDistance: species.drawDistance,
+    parts: plant.parts,
+    midParts: plant.midParts,
+    farParts: plant.farParts
+  };
+}
+
+/**
+ * Describe one instanced part of a tree or plant
+ * @param {string} batch - Key into FOREST_BATCHES
+ * @param {THREE.Matrix4} baseMatrix - Transform of the whole tree or plant
+ * @param {Array} position - Local position [x, y, z]
+ * @param {Array} rotation - Local Euler rotation [x, y, z]
+ * @param {Array} scale - Local scale [x, y, z]
+ * @param {number} windFactor - How strongly the part reacts to wind
+ * @param {THREE.Color} [color] - Per-instance colour
+ * @returns {Object} - Part with batch, matrix, windFactor and color
+ */
+function createPart(batch, baseMatrix, position, rotation, scale, windFactor, color = null) {
+  partPosition.fromArray(position);
+  partQuaternion.setFromEuler(partRotation.set(rotation[0], rotation[1], rotation[2]));
+  partScale.fromArray(scale);
+  partMatrix.compose(partPosition, partQuaternion, partScale);
+
+  return {
+    batch,
+    matrix: baseMatrix.clone().multiply(partMatrix),
+    windFactor,
+    color
+  };
+}
+
+/**
+ * Describe a branch growing out of a trunk
+ * The unit cylinder is tipped over by angle towards direction and moved so its base meets the trunk.
+ * @param {string} batch - Key into FOREST_BATCHES
+ * @param {THREE.Matrix4} baseMatrix - Transform of the whole tree
+ * @param {number} height - Height on the trunk the branch grows from
+ * @param {number} direction - Compass angle of the branch
+ * @param {number} angle - Angle of the branch away from upright
+ * @param {number} length - Branch length
+ * @param {number} thickness - Branch width relative to the batch geometry
+ * @returns {Object} - The branch part
+ */
+function createBranch(batch, baseMatrix, height, direction, angle, length, thickness) {
+  const reach = Math.sin(angle) * length / 2;
+  return createPart(
+    batch, baseMatrix,
+    [-Math.cos(direction) * reach, height + Math.cos(angle) * length / 2, Math.sin(direction) * reach],
+    [0, direction, angle],
+    [thickness, length, thickness],
+    1.0
+  );
+}
+
+/**
+ * Build a pine: tiers of cones on a straight trunk
+ * @param {THREE.Matrix4} baseMatrix - Transform of the whole tree
+ * @param {Function} random - Random number generator
+ * @returns {Object} - Parts for each level of detail
+ */
+function buildPine(baseMatrix, random) {
+  const parts = [];
+  const midParts = [];
+  const farParts = [];
+  const crownColor = new THREE.Color(0, 0, 0);
+  const trunkHeight = 5 + random() * 3;
+
+  // Trunk with slight random rotation for natural look
+  const trunkTilt = [(random() - 0.5) * 0.2, 0, (random() - 0.5) * 0.2];
+  parts.push(createPart('pineTrunk', baseMatrix, [0, trunkHeight / 2, 0], trunkTilt, [1, trunkHeight, 1], 1.0));
+  midParts.push(createPart('pineTrunkLow', baseMatrix, [0, trunkHeight / 2, 0], trunkTilt, [1, trunkHeight, 1], 1.0));
+
+  // Create multiple layers of pine leaves
+  const leafLayers = 3 + Math.floor(random() * 3);
+
+  for (let i = 0; i < leafLayers; i++) {
+    const layerSize = 4 - (i * 3.5 / leafLayers);
+    const layerHeight = 2.5 - (i * 1.5 / leafLayers);
+
+    // Vary the leaf color slightly
+    const hue = 0.27 + (random() * 0.1 - 0.05);
+    const saturation = 0.4 + (random() * 0.2);
+    const lightness = 0.2 + (random() * 0.1);
+    const windFactor = random() * 0.7 + 0.6;
+
+    const layerColor = new THREE.Color().setHSL(hue, saturation, lightness);
+    crownColor.add(layerColor);
+
+    parts.push(createPart(
+      'pineLayer', baseMatrix,
+      [0, trunkHeight - i * 1.5, 0],
+      [(random() - 0.5) * 0.1, 0, (random() - 0.5) * 0.1],
+      [layerSize, layerHeight, layerSize],
+      windFactor,
+      layerColor
+    ));
+  }
+  crownColor.multiplyScalar(1 / leafLayers);
+
+  // A single cone covering all the layers for mid range
+  const crownBottom = trunkHeight - (leafLayers - 1) * 1.5 - 0.75;
+  const crownTop = trunkHeight + 1.25;
+  midParts.push(createPart(
+    'pineCrownLow', baseMatrix,
+    [0, (crownBottom + crownTop) / 2, 0],
+    [0, 0, 0],
+    [3.2, crownTop - crownBottom, 3.2],
+    1.0,
+    crownColor
+  ));
+
+  // Camera-facing silhouette for far away
+  farParts.push(createPart('pineImpostor', baseMatrix, [0, 0, 0], [0, 0, 0], [8, crownTop, 8], 1.0, crownColor));
+
+  return { parts, midParts, farParts };
+}
+
+/**
+ * Build a broadleaf tree crown from leaf clusters, with its mid range and far away stand-ins
+ * @param {THREE.Matrix4} baseMatrix - Transform of the whole tree
+ * @param {Function} random - Random number generator
+ * @param {Object} crown - Cluster count, size, spread, height and colour ranges
+ * @param {Array} parts - Full detail parts to add the clusters to
+ * @param {Array} midParts - Mid range parts to add the simplified crown to
+ * @param {Array} farParts - Far away parts to add the impostor to
+ */
+function buildLeafCrown(baseMatrix, random, crown, parts, midParts, farParts) {
+  const crownColor = new THREE.Color(0, 0, 0);
+  const crownCenter = new THREE.Vector3();
+  const clusterCount = crown.minClusters + Math.floor(random() * (crown.maxClusters - crown.minClusters + 1));
+
+  for (let c = 0; c < clusterCount; c++) {
+    // Vary the leaf color slightly
+    const hue = crown.hue + random() * crown.hueRange;
+    const saturation = 0.4 + (random() * 0.3);
+    const lightness = crown.lightness + (random() * 0.15);
+    const clusterSize = crown.clusterSize + random();
+    const windFactor = random() * 0.8 + 0.7;
+
+    const clusterColor = new THREE.Color().setHSL(hue, saturation, lightness);
+    const clusterPosition = [
+      (random() - 0.5) * crown.spread,
+      crown.bottom + random() * crown.depth,
+      (random() - 0.5) * crown.spread
+    ];
+    crownColor.add(clusterColor);
+    crownCenter.add(new THREE.Vector3().fromArray(clusterPosition));
+
+    parts.push(createPart(
+      'leafCluster', baseMatrix,
+      clusterPosition,
+      [(random() - 0.5) * 0.2, (random() - 0.5) * 0.2, (random() - 0.5) * 0.2],
+      [clusterSize, clusterSize, clusterSize],
+      windFactor,
+      clusterColor
+    ));
+  }
+  crownColor.multiplyScalar(1 / clusterCount);
+  crownCenter.multiplyScalar(1 / clusterCount);
+
+  // One rounded crown in place of the clusters for mid range
+  const width = crown.spread * 0.35 + crown.clusterSize;
+  const height = crown.depth + crown.clusterSize / 2;
+  midParts.push(createPart('leafCrownLow', baseMatrix, crownCenter.toArray(), [0, 0, 0], [width, height, width], 1.0, crownColor));
+
+  // Camera-facing silhouette for far away
+  farParts.push(createPart('deciduousImpostor', baseMatrix, [0, 0, 0], [0, 0, 0], [width * 2, crownCenter.y + height, width * 2], 1.0, crownColor));
+}
+
+/**
+ * Build a deciduous tree: a few branches under a loose crown
+ * @param {THREE.Matrix4} baseMatrix - Transform of the whole tree
+ * @param {Function} random - Random number generator
+ * @returns {Object} - Parts for each level of detail
+ */
+function buildDeciduous(baseMatrix, random) {
+  const parts = [];
+  const midParts = [];
+  const farParts = [];
+  const trunkHeight = 5 + random() * 3;
+
+  // Trunk with more natural shape
+  const trunkTilt = [(random() - 0.5) * 0.2, 0, (random() - 0.5) * 0.2];
+  parts.push(createPart('deciduousTrunk', baseMatrix, [0, trunkHeight / 2, 0], trunkTilt, [1, trunkHeight, 1], 1.0));
+  midParts.push(createPart('deciduousTrunkLow', baseMatrix, [0, trunkHeight / 2, 0], trunkTilt, [1, trunkHeight, 1], 1.0));
+
+  // Create branches, rotated outward
+  const branchCount = 2 + Math.floor(random() * 3);
+  for (let i = 0; i < branchCount; i++) {
+    const branchLength = 1.5 + random() * 2;
+    const branchAngle = Math.PI / 4 + (random() * Math.PI / 4);
+    const branchDirection = random() * Math.PI * 2;
+    parts.push(createBranch('branch', baseMatrix, trunkHeight * (0.5 + i * 0.2), branchDirection, branchAngle, branchLength, 1));
+  }
+
+  buildLeafCrown(baseMatrix, random, {
+    minClusters: 3, maxClusters: 5, clusterSize: 2, spread: 4, bottom: trunkHeight, depth: 2,
+    hue: 0.25, hueRange: 0.15, lightness: 0.25
+  }, parts, midParts, farParts);
+
+  return { parts, midParts, farParts };
+}
+
+/**
+ * Build a birch: a tall, slender white trunk with small, pale leaf clusters
+ * @param {THREE.Matrix4} baseMatrix - Transform of the whole tree
+ * @param {Function} random - Random number generator
+ * @returns {Object} - Parts for each level of detail
+ */
+function buildBirch(baseMatrix, random) {
+  const parts = [];
+  const midParts = [];
+  const farParts = [];
+  const trunkHeight = 6 + random() * 3;
+
+  const trunkTilt = [(random() - 0.5) * 0.15, 0, (random() - 0.5) * 0.15];
+  parts.push(createPart('birchTrunk', baseMatrix, [0, trunkHeight / 2, 0], trunkTilt, [1, trunkHeight, 1], 1.0));
+  midParts.push(createPart('birchTrunkLow', baseMatrix, [0, trunkHeight / 2, 0], trunkTilt, [1, trunkHeight, 1], 1.0));
+
+  // Leaves hang along the upper half of the trunk rather than sitting on top
+  buildLeafCrown(baseMatrix, random, {
+    minClusters: 4, maxClusters: 6, clusterSize: 1.2, spread: 3, bottom: trunkHeight * 0.55, depth: trunkHeight * 0.5,
+    hue: 0.2, hueRange: 0.08, lightness: 0.35
+  }, parts, midParts, farParts);
+
+  return { parts, midParts, farParts };
+}
+
+/**
+ * Build an oak: a short, thick trunk with long limbs under a broad, dark crown
+ * @param {THREE.Matrix4} baseMatrix - Transform of the whole tree
+ * @param {Function} random - Random number generator
+ * @returns {Object} - Parts for each level of detail
+ */
+function buildOak(baseMatrix, random) {
+  const parts = [];
+  const midParts = [];
+  const farParts = [];
+  const trunkHeight = 4 + random() * 2;
+
+  const trunkTilt = [(random() - 0.5) * 0.1, 0, (random() - 0.5) * 0.1];
+  parts.push(createPart('deciduousTrunk', baseMatrix, [0, trunkHeight / 2, 0], trunkTilt, [1.8, trunkHeight, 1.8], 1.0));
+  midParts.push(createPart('deciduousTrunkLow', baseMatrix, [0, trunkHeight / 2, 0], trunkTilt, [1.8, trunkHeight, 1.8], 1.0));
+
+  // Limbs spread out almost level
+  const branchCount = 3 + Math.floor(random() * 3);
+  for (let i = 0; i < branchCount; i++) {
+    const branchLength = 2.5 + random() * 1.5;
+    const branchAngle = Math.PI / 3 + random() * Math.PI / 6;
+    const branchDirection = (i + random() * 0.5) / branchCount * Math.PI * 2;
+    parts.push(createBranch('branch', baseMatrix, trunkHeight * (0.6 + random() * 0.3), branchDirection, branchAngle, branchLength, 1.6));
+  }
+
+  buildLeafCrown(baseMatrix, random, {
+    minClusters: 5, maxClusters: 8, clusterSize: 2.2, spread: 7, bottom: trunkHeight + 0.5, depth: 2,
+    hue: 0.28, hueRange: 0.05, lightness: 0.18
+  }, parts, midParts, farParts);
+
+  return { parts, midParts, farParts };
+}
+
+/**
+ * Build a dead tree: a leaning grey snag with a few bare branches
+ * @param {THREE.Matrix4} baseMatrix - Transform of the whole tree
+ * @param {Function} random - Random number generator
+ * @returns {Object} - Parts for each level of detail
+ */
+function buildDeadTree(baseMatrix, random) {
+  const parts = [];
+  const midParts = [];
+  const trunkHeight = 4 + random() * 4;
+
+  const trunkTilt = [(random() - 0.5) * 0.3, 0, (random() - 0.5) * 0.3];
+  parts.push(createPart('deadWood', baseMatrix, [0, trunkHeight / 2, 0], trunkTilt, [1, trunkHeight, 1], 1.0));
+  midParts.push(createPart('deadWoodLow', baseMatrix, [0, trunkHeight / 2, 0], trunkTilt, [1, trunkHeight, 1], 1.0));
+
+  const branchCount = 2 + Math.floor(random() * 3);
+  for (let i = 0; i < branchCount; i++) {
+    const branchLength = 1 + random() * 2;
+    const branchAngle = Math.PI / 6 + random() * Math.PI / 4;
+    const branchDirection = random() * Math.PI * 2;
+    parts.push(createBranch('deadWood', baseMatrix, trunkHeight * (0.4 + random() * 0.5), branchDirection, branchAngle, branchLength, 0.35));
+  }
+
+  // Without a crown the bare trunk is all there is to see from afar
+  return { parts, midParts, farParts: midParts.map((part) => ({ ...part })) };
+}
+
+/**
+ * Build a bush: one squashed, randomly turned ball of leaves
+ * @param {THREE.Matrix4} baseMatrix - Transform of the whole plant
+ * @param {Function} random - Random number generator
+ * @returns {Object} - Parts and collision radius
+ */
+function buildBush(baseMatrix, random) {
+  const batch = random() < 0.5 ? 'bushLarge' : 'bushSmall';
+  const color = new THREE.Color(BUSH_COLORS[Math.floor(random() * BUSH_COLORS.length)]);
+  const scaleX = 0.5 + random() * 1.0;
+  const scaleY = 0.5 + random() * 0.7;
+  const scaleZ = 0.5 + random() * 1.0;
+  const rotationY = random() * Math.PI * 2;
+
+  return {
+    parts: [createPart(batch, baseMatrix, [0, 0.2, 0], [0, rotationY, 0], [scaleX, scaleY, scaleZ], 1.0, color)],
+    radius: BUSH_RADIUS[batch] * Math.max(scaleX, scaleZ) * 0.8
+  };
+}
+
+/**
+ * Build a grass tuft made of several blades
+ * @param {THREE.Matrix4} baseMatrix - Transform of the whole plant
+ * @param {Function} random - Random number generator
+ * @returns {Object} - Parts
+ */
+function buildGrass(baseMatrix, random) {
+  const parts = [];
+  const bladeCount = 3 + Math.floor(random() * 5);
+
+  for (let b = 0; b < bladeCount; b++) {
+    parts.push(createPart(
+      'grassBlade', baseMatrix,
+      [(random() - 0.5) * 0.5, 0.2, (random() - 0.5) * 0.5],
+      [(random() - 0.5) * 0.2, 0, (random() - 0.5) * 0.2],
+      [1, 1, 1],
+      1.0
+    ));
+  }
+
+  return { parts };
+}
+
+/**
+ * Build a fern: fronds arching out from the centre
+ * @param {THREE.Matrix4} baseMatrix - Transform of the whole plant
+ * @param {Function} random - Random number generator
+ * @returns {Object} - Parts
+ */
+function buildFern(baseMatrix, random) {
+  const parts = [];
+  const frondCount = 5 + Math.floor(random() * 5);
+  const turn = random() * Math.PI * 2;
+
+  for (let f = 0; f < frondCount; f++) {
+    const color = new THREE.Color().setHSL(0.28 + random() * 0.05, 0.5, 0.22 + random() * 0.1);
+    parts.push(createPart(
+      'fernFrond', baseMatrix,
+      [0, 0.05, 0],
+      [0, turn + (f + random() * 0.5) / frondCount * Math.PI * 2, 0.6 + random() * 0.5],
+      [1, 0.8 + random() * 0.6, 1],
+      0.8 + random() * 0.4,
+      color
+    ));
+  }
+
+  return { parts };
+}
+
+/**
+ * Build a clump of reeds, some topped with brown seed heads
+ * @param {THREE.Matrix4} baseMatrix - Transform of the whole plant
+ * @param {Function} random - Random number generator
+ * @returns {Object} - Parts
+ */
+function buildReeds(baseMatrix, random) {
+  const parts = [];
+  const stemCount = 6 + Math.floor(random() * 7);
+
+  for (let s = 0; s < stemCount; s++) {
+    const x = (random() - 0.5) * 1.2;
+    const z = (random() - 0.5) * 1.2;
+    const height = 1.2 + random() * 1.0;
+    const tilt = [(random() - 0.5) * 0.3, 0, (random() - 0.5) * 0.3];
+    parts.push(createPart('reedStem', baseMatrix, [x, 0, z], tilt, [1, height, 1], 1.0));
+
+    if (random() < 0.4) {
+      // Follow the stem's lean up to its tip
+      const tipX = x - Math.sin(tilt[2]) * height;
+      const tipY = Math.cos(tilt[2]) * Math.cos(tilt[0]) * height;
+      const tipZ = z + Math.cos(tilt[2]) * Math.sin(tilt[0]) * height;
+      parts.push(createPart('reedHead', baseMatrix, [tipX, tipY - 0.2, tipZ], tilt, [1, 0.3, 1], 1.0));
+    }
+  }
+
+  return { parts };
+}
+
+/**
+ * Build a small cluster of mushrooms
+ * @param {THREE.Matrix4} baseMatrix - Transform of the whole plant
+ * @param {Function} random - Random number generator
+ * @returns {Object} - Parts
+ */
+function buildMushrooms(baseMatrix, random) {
+  const parts = [];
+  const count = 1 + Math.floor(random() * 4);
+  const color = new THREE.Color(MUSHROOM_COLORS[Math.floor(random() * MUSHROOM_COLORS.length)]);
+
+  for (let m = 0; m < count; m++) {
+    const x = (random() - 0.5) * 0.6;
+    const z = (random() - 0.5) * 0.6;
+    const height = 0.15 + random() * 0.2;
+    const capSize = 0.12 + random() * 0.13;
+    parts.push(createPart('mushroomStem', baseMatrix, [x, height / 2, z], [0, 0, 0], [1, height, 1], 0));
+    parts.push(createPart('mushroomCap', baseMatrix, [x, height, z], [0, 0, 0], [capSize, capSize * 0.7, capSize], 0, color));
+  }
+
+  return { parts };
+}
+
+/**
+ * Build a boulder, half sunk into the ground, sometimes with a smaller stone beside it
+ * @param {THREE.Matrix4} baseMatrix - Transform of the whole rock
+ * @param {Function} random - Random number generator
+ * @returns {Object} - Parts and collision radius
+ */
+function buildRock(baseMatrix, random) {
+  const parts = [];
+  const scaleX = 0.6 + random() * 1.2;
+  const scaleY = 0.4 + random() * 0.7;
+  const scaleZ = 0.6 + random() * 1.2;
+  const color = new THREE.Color().setHSL(0.1, 0.05 + random() * 0.05, 0.3 + random() * 0.12);
+
+  parts.push(createPart(
+    'rock', baseMatrix,
+    [0, scaleY * 0.3, 0],
+    [(random() - 0.5) * 0.4, random() * Math.PI * 2, (random() - 0.5) * 0.4],
+    [scaleX, scaleY, scaleZ],
+    0,
+    color
+  ));
+
+  if (random() < 0.4) {
+    const direction = random() * Math.PI * 2;
+    const distance = Math.max(scaleX, scaleZ) + 0.3;
+    parts.push(createPart(
+      'rock', baseMatrix,
+      [Math.cos(direction) * distance, 0.1, Math.sin(direction) * distance],
+      [random(), random(), random()],
+      [0.35, 0.3, 0.4],
+      0,
+      color
+    ));
+  }
+
+  return { parts, radius: Math.max(scaleX, scaleZ) * 0.85 };
+}
+
+/**
+ * Build a fallen trunk lying on the ground
+ * @param {THREE.Matrix4} baseMatrix - Transform of the whole log
+ * @param {Function} random - Random number generator
+ * @returns {Object} - Parts and a row of collision circles along the log
+ */
+function buildFallenLog(baseMatrix, random) {
+  const length = 4 + random() * 5;
+  const thickness = 1.2 + random() * 0.6;
+  const direction = random() * Math.PI * 2;
+  const radius = 0.35 * thickness;
+
+  // Lay the upright trunk geometry on its side, pointing along direction
+  const parts = [createPart('deadWood', baseMatrix, [0, radius * 0.8, 0], [0, direction, Math.PI / 2], [thickness, length, thickness], 1.0)];
+
+  const circles = [];
+  const count = Math.ceil(length / (radius * 2));
+  for (let c = 0; c < count; c++) {
+    const along = ((c + 0.5) / count - 0.5) * length;
+    circles.push([-Math.cos(direction) * along, Math.sin(direction) * along, radius]);
+  }
+
+  return { parts, radius, circles };
+}
@@ -0,0 +1,111 @@
+// Heightmap terrain generation and height queries
+import * as THREE from 'three';
+import { createNoise2D, fractalNoise } from './noise.js';
+import { createRandom, getSeed } from './random.js';
+import { getDefaultWorldConfig } from './config.js';
+import { carveWaterBeds } from './water.js';
+import { CHUNK_SIZE } from './constants.js';
+
+// Terrain settings from the world config
+let settings = getDefaultWorldConfig();
+// Spacing of the height lattice shared by every chunk
+let cellSize = CHUNK_SIZE / settings.terrain.segments;
+
+let noise = createNoise2D(createRandom('terrain'));
+
+/**
+ * Set up terrain generation for the current world seed
+ * @param {Object} [config] - World config; keeps the current one when left out
+ */
+export function generateTerrain(config = settings) {
+  settings = config;
+  cellSize = CHUNK_SIZE / settings.terrain.segments;
+  noise = createNoise2D(createRandom(`${getSeed()}:terrain`));
+}
+
+/**
+ * Get the chunk index containing a world coordinate
+ * @param {number} value - World x or z coordinate
+ * @returns {number} - Chunk index along that axis
+ */
+export function getChunkCoord(value) {
+  return Math.floor(value / CHUNK_SIZE);
+}
+
+/**
+ * Compute the terrain height at a point from noise, lake basins and river channels
+ * @param {number} x - World x coordinate
+ * @param {number} z - World z coordinate
+ * @returns {number} - Terrain height
+ */
+function sampleHeight(x, z) {
+  // Rolling hills, always above the water level
+  const { noiseScale } = settings.terrain;
+  const hills = (fractalNoise(noise, x * noiseScale, z * noiseScale, 4) + 1) / 2;
+  return carveWaterBeds(x, z, hills * settings.terrain.height);
+}
+
+/**
+ * Get the terrain height at a world position, matching the rendered mesh
+ * @param {number} x - World x coordinate
+ * @param {number} z - World z coordinate
+ * @returns {number} - Terrain height
+ */
+export function getHeightAt(x, z) {
+  // Find the lattice cell and the position within it
+  const gx = x / cellSize;
+  const gz = z / cellSize;
+  const ix = Math.floor(gx);
+  const iz = Math.floor(gz);
+  const u = gx - ix;
+  const v = gz - iz;
+
+  const x0 = ix * cellSize;
+  const z0 = iz * cellSize;
+
+  // Interpolate across the same triangle split PlaneGeometry uses
+  if (u + v <= 1) {
+    const h00 = sampleHeight(x0, z0);
+    const h10 = sampleHeight(x0 + cellSize, z0);
+    const h01 = sampleHeight(x0, z0 + cellSize);
+    return h00 + (h10 - h00) * u + (h01 - h00) * v;
+  }
+  const h11 = sampleHeight(x0 + cellSize, z0 + cellSize);
+  const h10 = sampleHeight(x0 + cellSize, z0);
+  const h01 = sampleHeight(x0, z0 + cellSize);
+  return h11 + (h01 - h11) * (1 - u) + (h10 - h11) * (1 - v);
+}
+
+/**
+ * Build the ground geometry for one chunk
+ * Normals come from the height lattice rather than the chunk's own faces,
+ * so neighbouring chunks shade seamlessly.
+ * @param {number} cx - Chunk x index
+ * @param {number} cz - Chunk z index
+ * @returns {THREE.PlaneGeometry} - Displaced plane geometry, to be rotated flat and centred on the chunk
+ */
+export function createTerrainGeometry(cx, cz) {
+  const segments = settings.terrain.segments;
+  const geometry = new THREE.PlaneGeometry(CHUNK_SIZE, CHUNK_SIZE, segments, segments);
+  const positions = geometry.attributes.position;
+  const normals = geometry.attributes.normal;
+  const normal = new THREE.Vector3();
+
+  // Plane rows run from +y to -y, which becomes -z to +z once rotated flat
+  for (let i = 0; i < positions.count; i++) {
+    const x = cx * CHUNK_SIZE + (i % (segments + 1)) * cellSize;
+    const z = cz * CHUNK_SIZE + Math.floor(i / (segments + 1)) * cellSize;
+    positions.setZ(i, sampleHeight(x, z));
+
+    // Slope from the neighbouring lattice points, turned into the plane's local axes
+    const slopeX = (sampleHeight(x + cellSize, z) - sampleHeight(x - cellSize, z)) / (2 * cellSize);
+    const slopeZ = (sampleHeight(x, z + cellSize) - sampleHeight(x, z - cellSize)) / (2 * cellSize);
+    normal.set(-slopeX, slopeZ, 1).normalize();
+    normals.setXYZ(i, normal.x, normal.y, normal.z);
+  }
+
+  positions.needsUpdate = true;
+  normals.needsUpdate = true;
+  geometry.computeBoundingSphere();
+  return geometry;
+}
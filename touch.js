@@ -0,0 +1,150 @@
+// Touch controls: virtual joystick, action buttons and drag-to-look
+import { movementState, orbitCamera } from './character.js';
+import { setButtonState } from './input.js';
+
+// How far the joystick knob can travel from the centre, in pixels
+const JOYSTICK_RADIUS = 50;
+// Knob travel ignored around the centre (0 to 1)
+const JOYSTICK_DEAD_ZONE = 0.1;
+// Camera orbit per pixel dragged (radians)
+const LOOK_SENSITIVITY = 0.005;
+
+// Joystick deflection (-1 to 1 on each axis, +y is down the screen)
+const joystick = { touchId: null, x: 0, y: 0 };
+// Finger currently dragging the view
+const look = { touchId: null, x: 0, y: 0 };
+
+/**
+ * Check whether the page is running on a touch screen
+ * @returns {boolean} - Whether touch controls should be shown
+ */
+export function isTouchDevice() {
+  // Touch laptops have a fine pointer too, so only phones and tablets qualify
+  return window.matchMedia('(pointer: coarse)').matches;
+}
+
+/**
+ * Show the on-screen controls and start listening to touches
+ * @param {HTMLElement} lookArea - Element that turns the camera when dragged
+ */
+export function initTouchControls(lookArea) {
+  document.body.classList.add('touch-device');
+
+  // Joystick on the left, following the first finger placed on it
+  const base = document.getElementById('touch-joystick');
+  const knob = document.getElementById('touch-joystick-knob');
+
+  base.addEventListener('touchstart', (event) => {
+    event.preventDefault();
+    if (joystick.touchId !== null) return;
+    joystick.touchId = event.changedTouches[0].identifier;
+    moveJoystick(base, knob, event.changedTouches[0]);
+  }, { passive: false });
+
+  base.addEventListener('touchmove', (event) => {
+    event.preventDefault();
+    const touch = findTouch(event.changedTouches, joystick.touchId);
+    if (touch) moveJoystick(base, knob, touch);
+  }, { passive: false });
+
+  const releaseJoystick = (event) => {
+    if (!findTouch(event.changedTouches, joystick.touchId)) return;
+    joystick.touchId = null;
+    joystick.x = 0;
+    joystick.y = 0;
+    knob.style.transform = '';
+  };
+  base.addEventListener('touchend', releaseJoystick);
+  base.addEventListener('touchcancel', releaseJoystick);
+
+  // Buttons feed the same actions as the keyboard and gamepad
+  bindButton(document.getElementById('touch-jump'), 'TouchJump');
+  bindButton(document.getElementById('touch-shout'), 'TouchShout');
+
+  // Dragging anywhere else turns the camera
+  lookArea.addEventListener('touchstart', (event) => {
+    event.preventDefault();
+    document.getElementById('info').classList.add('hidden');
+    if (look.touchId !== null) return;
+    const touch = event.changedTouches[0];
+    look.touchId = touch.identifier;
+    look.x = touch.clientX;
+    look.y = touch.clientY;
+  }, { passive: false });
+
+  lookArea.addEventListener('touchmove', (event) => {
+    event.preventDefault();
+    const touch = findTouch(event.changedTouches, look.touchId);
+    if (!touch) return;
+    orbitCamera(-(touch.clientX - look.x) * LOOK_SENSITIVITY, (touch.clientY - look.y) * LOOK_SENSITIVITY);
+    look.x = touch.clientX;
+    look.y = touch.clientY;
+  }, { passive: false });
+
+  const releaseLook = (event) => {
+    if (findTouch(event.changedTouches, look.touchId)) look.touchId = null;
+  };
+  lookArea.addEventListener('touchend', releaseLook);
+  lookArea.addEventListener('touchcancel', releaseLook);
+}
+
+/**
+ * Add the joystick to this frame's analog movement
+ */
+export function updateTouchControls() {
+  const magnitude = Math.hypot(joystick.x, joystick.y);
+  if (magnitude < JOYSTICK_DEAD_ZONE) return;
+
+  // Push up to walk forward, sideways to turn
+  movementState.forward += -joystick.y;
+  movementState.turn += -joystick.x;
+}
+
+/**
+ * Move the joystick knob under a finger
+ * @param {HTMLElement} base - Joystick base element
+ * @param {HTMLElement} knob - Joystick knob element
+ * @param {Touch} touch - Finger on the joystick
+ */
+function moveJoystick(base, knob, touch) {
+  const rect = base.getBoundingClientRect();
+  let dx = touch.clientX - (rect.left + rect.width / 2);
+  let dy = touch.clientY - (rect.top + rect.height / 2);
+
+  // Keep the knob inside the base
+  const distance = Math.hypot(dx, dy);
+  if (distance > JOYSTICK_RADIUS) {
+    dx *= JOYSTICK_RADIUS / distance;
+    dy *= JOYSTICK_RADIUS / distance;
+  }
+
+  joystick.x = dx / JOYSTICK_RADIUS;
+  joystick.y = dy / JOYSTICK_RADIUS;
+  knob.style.transform = `translate(${dx}px, ${dy}px)`;
+}
+
+/**
+ * Make an on-screen button hold an input code down while touched
+ * @param {HTMLElement} button - Button element
+ * @param {string} code - Input code the button reports
+ */
+function bindButton(button, code) {
+  button.addEventListener('touchstart', (event) => {
+    event.preventDefault();
+    setButtonState(code, true);
+  }, { passive: false });
+
+  const release = () => setButtonState(code, false);
+  button.addEventListener('touchend', release);
+  button.addEventListener('touchcancel', release);
+}
+
+/**
+ * Find a finger by its identifier
+ * @param {TouchList} touches - Touches to search
+ * @param {number|null} id - Touch identifier
+ * @returns {Touch|undefined} - The matching touch
+ */
+function findTouch(touches, id) {
+  return Array.from(touches).find((touch) => touch.identifier === id);
+}
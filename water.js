@@ -0,0 +1,455 @@
+// Water bodies (polygon lakes and spline rivers) and the queries every other system asks about water
+import * as THREE from 'three';
+import { createRandom, getSeed } from './random.js';
+import { getDefaultWorldConfig } from './config.js';
+import { getChunkCoord, getHeightAt } from './terrain.js';
+import { CHUNK_SIZE } from './constants.js';
+
+// Corners of a generated lake's outline
+const LAKE_POINTS = 10;
+// Share of a lake's radius taken up by the sloping shelf between the shore and the deep bed
+const LAKE_SHELF = 0.2;
+// Distance between samples along a river's spline
+const RIVER_SAMPLE_SPACING = 4.0;
+// Width of the sloping banks either side of a river, relative to its half-width
+const RIVER_BANK_FACTOR = 1.5;
+// How far the river's water surface reaches past the waterline, to meet the rising bank
+const RIVER_SURFACE_MARGIN = 0.5;
+
+// Water settings from the world config
+let settings = getDefaultWorldConfig();
+// Rivers from the config, sampled along their splines
+let rivers = [];
+// Water bodies already worked out for each chunk, keyed like the spatial grid cells
+const chunkWaterCache = new Map();
+
+// Scratch result for nearest point queries
+const nearest = { x: 0, z: 0, distance: 0, along: 0, index: 0 };
+
+/**
+ * Set up the water bodies for the current world seed
+ * Call before generateTerrain, which carves lake and river beds out of the hills.
+ * @param {Object} [config] - World config; keeps the current one when left out
+ */
+export function generateWater(config = settings) {
+  settings = config;
+  chunkWaterCache.clear();
+  rivers = settings.water.rivers.map(createRiver);
+}
+
+/**
+ * Get the water bodies inside or crossing a chunk
+ * Lakes are derived from the config, seed and chunk position alone, so they exist
+ * whether or not the chunk is loaded. Each lake lies wholly inside its chunk;
+ * rivers are listed in every chunk they pass through.
+ * @param {number} cx - Chunk x index
+ * @param {number} cz - Chunk z index
+ * @returns {Array} - Water bodies (see createLake and createRiver)
+ */
+export function getChunkWaterBodies(cx, cz) {
+  const key = chunkKey(cx, cz);
+  let bodies = chunkWaterCache.get(key);
+  if (bodies) return bodies;
+
+  const water = settings.water;
+
+  // Lakes placed in the config take the place of a generated one
+  bodies = water.lakes
+    .filter((lake) => getChunkCoord(lake.points[0].x) === cx && getChunkCoord(lake.points[0].z) === cz)
+    .map((lake) => createLake(lake.points));
+
+  const random = createRandom(`${getSeed()}:lake:${cx}:${cz}`);
+  if (bodies.length === 0 && random() < water.lakeChance) {
+    const radius = water.lakeMinSize + random() * (water.lakeMaxSize - water.lakeMinSize);
+    const x = (cx * CHUNK_SIZE) + radius + random() * (CHUNK_SIZE - radius * 2);
+    const z = (cz * CHUNK_SIZE) + radius + random() * (CHUNK_SIZE - radius * 2);
+
+    // Never flood the spawn point
+    if (Math.hypot(x, z) > radius + settings.terrain.spawnClearance) {
+      bodies.push(createLake(createLakeOutline(x, z, radius, random)));
+    }
+  }
+
+  for (const river of rivers) {
+    if (river.segmentsByChunk.has(key)) {
+      bodies.push(river);
+    }
+  }
+
+  chunkWaterCache.set(key, bodies);
+  return bodies;
+}
+
+/**
+ * Find water bodies whose shore comes within a distance of a point
+ * @param {number} x - World x coordinate
+ * @param {number} z - World z coordinate
+ * @param {number} radius - Search distance
+ * @returns {Array} - Water bodies in range
+ */
+export function getWaterBodiesNear(x, z, radius) {
+  const bodies = new Set();
+
+  for (let cz = getChunkCoord(z - radius); cz <= getChunkCoord(z + radius); cz++) {
+    for (let cx = getChunkCoord(x - radius); cx <= getChunkCoord(x + radius); cx++) {
+      for (const body of getChunkWaterBodies(cx, cz)) {
+        if (!bodies.has(body) && getNearestShore(body, x, z).distance <= radius) {
+          bodies.add(body);
+        }
+      }
+    }
+  }
+
+  return [...bodies];
+}
+
+/**
+ * Get the height of the water surface covering a point
+ * @param {number} x - World x coordinate
+ * @param {number} z - World z coordinate
+ * @returns {number|null} - Water surface height, or null on dry land
+ */
+export function getWaterLevelAt(x, z) {
+  let level = null;
+  for (const body of getChunkWaterBodies(getChunkCoord(x), getChunkCoord(z))) {
+    if (containsPoint(body, x, z) && (level === null || body.level > level)) {
+      level = body.level;
+    }
+  }
+  return level;
+}
+
+/**
+ * Get how deep the water is at a point
+ * @param {number} x - World x coordinate
+ * @param {number} z - World z coordinate
+ * @returns {number} - Depth from the water surface down to the ground, 0 on dry land
+ */
+export function getWaterDepthAt(x, z) {
+  const level = getWaterLevelAt(x, z);
+  return level === null ? 0 : Math.max(0, level - getHeightAt(x, z));
+}
+
+/**
+ * Get the flow of the water at a point
+ * Rivers run from their first point to their last, fastest in mid-stream; lakes are still.
+ * @param {number} x - World x coordinate
+ * @param {number} z - World z coordinate
+ * @returns {Object} - Flow velocity with x and z in units per second
+ */
+export function getCurrentAt(x, z) {
+  const current = { x: 0, z: 0 };
+
+  for (const body of getChunkWaterBodies(getChunkCoord(x), getChunkCoord(z))) {
+    if (body.type !== 'river') continue;
+
+    findNearestOnRiver(body, x, z, body.segmentsByChunk.get(chunkKey(getChunkCoord(x), getChunkCoord(z))));
+    if (nearest.distance >= body.halfWidth) continue;
+
+    const speed = body.flow * (1 - (nearest.distance / body.halfWidth) ** 2);
+    const tangent = body.tangents[nearest.index];
+    current.x += tangent.x * speed;
+    current.z += tangent.z * speed;
+  }
+
+  return current;
+}
+
+/**
+ * Find the closest point on a water body's shoreline
+ * @param {Object} body - Water body
+ * @param {number} x - World x coordinate
+ * @param {number} z - World z coordinate
+ * @returns {Object} - Shore point with x, z and distance
+ */
+export function getNearestShore(body, x, z) {
+  if (body.type === 'lake') {
+    findNearestOnOutline(body.points, x, z);
+    return { x: nearest.x, z: nearest.z, distance: nearest.distance };
+  }
+
+  // The bank on the same side of the river as the point
+  findNearestOnRiver(body, x, z);
+  let sideX = x - nearest.x;
+  let sideZ = z - nearest.z;
+  const side = Math.hypot(sideX, sideZ);
+  if (side > 0) {
+    sideX /= side;
+    sideZ /= side;
+  } else {
+    sideX = -body.tangents[nearest.index].z;
+    sideZ = body.tangents[nearest.index].x;
+  }
+
+  return {
+    x: nearest.x + sideX * body.halfWidth,
+    z: nearest.z + sideZ * body.halfWidth,
+    distance: Math.abs(side - body.halfWidth)
+  };
+}
+
+/**
+ * Lower terrain into the lake basins and river channels at a point
+ * @param {number} x - World x coordinate
+ * @param {number} z - World z coordinate
+ * @param {number} height - Height of the hills at the point
+ * @returns {number} - Height with the water beds carved out
+ */
+export function carveWaterBeds(x, z, height) {
+  const key = chunkKey(getChunkCoord(x), getChunkCoord(z));
+
+  for (const body of getChunkWaterBodies(getChunkCoord(x), getChunkCoord(z))) {
+    if (body.type === 'lake') {
+      // Sloping down from the shoreline to the flat bed
+      const inside = -getOutlineDistance(body.points, x, z);
+      if (inside <= 0) continue;
+      const basin = THREE.MathUtils.smoothstep(inside, 0, body.shelf);
+      height = THREE.MathUtils.lerp(height, body.level - body.depth, basin);
+    } else {
+      // A rounded channel meeting the waterline at the river's edge, between rising banks
+      findNearestOnRiver(body, x, z, body.segmentsByChunk.get(key));
+      const distance = nearest.distance;
+      if (distance >= body.halfWidth + body.bankWidth) continue;
+      const bed = distance < body.halfWidth
+        ? body.level - body.depth * (1 - (distance / body.halfWidth) ** 2)
+        : body.level;
+      const channel = 1 - THREE.MathUtils.smoothstep(distance, body.halfWidth, body.halfWidth + body.bankWidth);
+      height = THREE.MathUtils.lerp(height, bed, channel);
+    }
+  }
+
+  return height;
+}
+
+/**
+ * Get the map key for a chunk
+ * @param {number} cx - Chunk x index
+ * @param {number} cz - Chunk z index
+ * @returns {number} - Unique key
+ */
+function chunkKey(cx, cz) {
+  return (cx + 32768) * 65536 + (cz + 32768);
+}
+
+/**
+ * Build an irregular lake outline around a centre
+ * @param {number} x - Centre x
+ * @param {number} z - Centre z
+ * @param {number} radius - Furthest the shore reaches from the centre
+ * @param {Function} random - Random number generator for the lake's chunk
+ * @returns {Array} - Outline points with x and z
+ */
+function createLakeOutline(x, z, radius, random) {
+  const points = [];
+  for (let i = 0; i < LAKE_POINTS; i++) {
+    const angle = (i + (random() - 0.5) * 0.5) / LAKE_POINTS * Math.PI * 2;
+    const reach = radius * (0.65 + random() * 0.35);
+    points.push({ x: x + Math.cos(angle) * reach, z: z + Math.sin(angle) * reach });
+  }
+  return points;
+}
+
+/**
+ * Create a lake from its outline
+ * @param {Array} points - Outline points with x and z, in order around the shore
+ * @returns {Object} - Lake with type, points, level, depth, shelf and surface
+ */
+function createLake(points) {
+  // Shelf width follows the lake's size, taken as the radius of a circle of the same area
+  let area = 0;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    area += points[j].x * points[i].z - points[i].x * points[j].z;
+  }
+  const radius = Math.sqrt(Math.abs(area) / 2 / Math.PI);
+
+  const contour = points.map((point) => new THREE.Vector2(point.x, point.z));
+  return {
+    type: 'lake',
+    points,
+    level: settings.water.level,
+    depth: settings.water.lakeDepth,
+    shelf: radius * LAKE_SHELF,
+    surface: {
+      vertices: points.map((point) => [point.x, point.z]),
+      triangles: THREE.ShapeUtils.triangulateShape(contour, []).flat()
+    }
+  };
+}
+
+/**
+ * Create a river by sampling a smooth curve through its control points
+ * @param {Object} config - River from the world config with points, width, depth and flow
+ * @returns {Object} - River with type, sampled points, tangents, level, sizes, flow, chunk index and surface
+ */
+function createRiver(config) {
+  const curve = new THREE.CatmullRomCurve3(config.points.map((point) => new THREE.Vector3(point.x, 0, point.z)));
+  const samples = Math.max(1, Math.ceil(curve.getLength() / RIVER_SAMPLE_SPACING));
+  const points = curve.getSpacedPoints(samples).map((point) => ({ x: point.x, z: point.z }));
+
+  // Downstream direction at each sample
+  const tangents = points.map((point, i) => {
+    const from = points[Math.max(0, i - 1)];
+    const to = points[Math.min(points.length - 1, i + 1)];
+    const length = Math.hypot(to.x - from.x, to.z - from.z) || 1;
+    return { x: (to.x - from.x) / length, z: (to.z - from.z) / length };
+  });
+
+  const halfWidth = config.width / 2;
+  const bankWidth = halfWidth * RIVER_BANK_FACTOR;
+
+  // Index every segment by the chunks its channel and banks reach into
+  const segmentsByChunk = new Map();
+  const reach = halfWidth + bankWidth;
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    for (let cz = getChunkCoord(Math.min(a.z, b.z) - reach); cz <= getChunkCoord(Math.max(a.z, b.z) + reach); cz++) {
+      for (let cx = getChunkCoord(Math.min(a.x, b.x) - reach); cx <= getChunkCoord(Math.max(a.x, b.x) + reach); cx++) {
+        const key = chunkKey(cx, cz);
+        if (!segmentsByChunk.has(key)) segmentsByChunk.set(key, []);
+        segmentsByChunk.get(key).push(i);
+      }
+    }
+  }
+
+  // A ribbon of water along the course, two vertices across at each sample
+  const surfaceWidth = halfWidth + RIVER_SURFACE_MARGIN;
+  const vertices = [];
+  const triangles = [];
+  points.forEach((point, i) => {
+    const tangent = tangents[i];
+    vertices.push([point.x - tangent.z * surfaceWidth, point.z + tangent.x * surfaceWidth]);
+    vertices.push([point.x + tangent.z * surfaceWidth, point.z - tangent.x * surfaceWidth]);
+    if (i > 0) {
+      const base = (i - 1) * 2;
+      triangles.push(base, base + 1, base + 2, base + 1, base + 3, base + 2);
+    }
+  });
+
+  return {
+    type: 'river',
+    points,
+    tangents,
+    level: settings.water.level,
+    depth: config.depth,
+    halfWidth,
+    bankWidth,
+    flow: config.flow,
+    segmentsByChunk,
+    surface: { vertices, triangles }
+  };
+}
+
+/**
+ * Check whether a water body covers a point
+ * @param {Object} body - Water body
+ * @param {number} x - World x coordinate
+ * @param {number} z - World z coordinate
+ * @returns {boolean} - Whether the point is inside the lake outline or between the river's banks
+ */
+function containsPoint(body, x, z) {
+  if (body.type === 'lake') {
+    return getOutlineDistance(body.points, x, z) < 0;
+  }
+  findNearestOnRiver(body, x, z, body.segmentsByChunk.get(chunkKey(getChunkCoord(x), getChunkCoord(z))));
+  return nearest.distance < body.halfWidth;
+}
+
+/**
+ * Measure the distance from a point to a closed outline
+ * @param {Array} points - Outline points with x and z
+ * @param {number} x - World x coordinate
+ * @param {number} z - World z coordinate
+ * @returns {number} - Distance to the outline, negative inside it
+ */
+function getOutlineDistance(points, x, z) {
+  let inside = false;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const a = points[j];
+    const b = points[i];
+    if ((a.z > z) !== (b.z > z) && x < a.x + (z - a.z) / (b.z - a.z) * (b.x - a.x)) {
+      inside = !inside;
+    }
+  }
+
+  findNearestOnOutline(points, x, z);
+  return inside ? -nearest.distance : nearest.distance;
+}
+
+/**
+ * Find the closest point on a closed outline, leaving it in nearest
+ * @param {Array} points - Outline points with x and z
+ * @param {number} x - World x coordinate
+ * @param {number} z - World z coordinate
+ */
+function findNearestOnOutline(points, x, z) {
+  let best = Infinity;
+  let bestX = 0;
+  let bestZ = 0;
+
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    findNearestOnSegment(points[j], points[i], x, z);
+    if (nearest.distance < best) {
+      best = nearest.distance;
+      bestX = nearest.x;
+      bestZ = nearest.z;
+    }
+  }
+
+  nearest.x = bestX;
+  nearest.z = bestZ;
+  nearest.distance = best;
+}
+
+/**
+ * Find the closest point on a river's centre line, leaving it in nearest
+ * nearest.index is set to the sample closest to that point.
+ * @param {Object} river - River from createRiver
+ * @param {number} x - World x coordinate
+ * @param {number} z - World z coordinate
+ * @param {Array<number>} [segments] - Segment indices to search; the whole river when left out
+ */
+function findNearestOnRiver(river, x, z, segments) {
+  let best = Infinity;
+  let bestX = 0;
+  let bestZ = 0;
+  let bestIndex = 0;
+
+  const count = segments ? segments.length : river.points.length - 1;
+  for (let s = 0; s < count; s++) {
+    const i = segments ? segments[s] : s;
+    findNearestOnSegment(river.points[i], river.points[i + 1], x, z);
+    if (nearest.distance < best) {
+      best = nearest.distance;
+      bestX = nearest.x;
+      bestZ = nearest.z;
+      // The sample nearest the point gives the flow direction
+      bestIndex = nearest.along < 0.5 ? i : i + 1;
+    }
+  }
+
+  nearest.x = bestX;
+  nearest.z = bestZ;
+  nearest.distance = best;
+  nearest.index = bestIndex;
+}
+
+/**
+ * Find the closest point on a line segment, leaving it in nearest
+ * nearest.along is set to how far along the segment the point lies (0 to 1).
+ * @param {Object} a - Segment start with x and z
+ * @param {Object} b - Segment end with x and z
+ * @param {number} x - World x coordinate
+ * @param {number} z - World z coordinate
+ */
+function findNearestOnSegment(a, b, x, z) {
+  const dx = b.x - a.x;
+  const dz = b.z - a.z;
+  const lengthSq = dx * dx + dz * dz;
+  const t = lengthSq > 0 ? THREE.MathUtils.clamp(((x - a.x) * dx + (z - a.z) * dz) / lengthSq, 0, 1) : 0;
+
+  nearest.x = a.x + dx * t;
+  nearest.z = a.z + dz * t;
+  nearest.distance = Math.hypot(x - nearest.x, z - nearest.z);
+  nearest.along = t;
+}
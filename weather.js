@@ -0,0 +1,223 @@
+// Weather state machine: clear, overcast, rain and storm
+import * as THREE from 'three';
+import { getWindState } from './animation.js';
+import { getDefaultWorldConfig } from './config.js';
+import { WEATHER_TRANSITION_TIME, RAIN_DROP_COUNT } from './constants.js';
+
+// Target values for each kind of weather; wind is relative to the world config's clear-weather wind
+const WEATHER_PRESETS = {
+  clear: { fogDensity: 0.007, rain: 0, windStrength: 1.0, windSpeed: 1.0, distortionScale: 3.7, cloudCover: 0 },
+  overcast: { fogDensity: 0.011, rain: 0, windStrength: 1.5, windSpeed: 1.2, distortionScale: 5.0, cloudCover: 0.6 },
+  rain: { fogDensity: 0.016, rain: 0.6, windStrength: 2.0, windSpeed: 1.5, distortionScale: 6.5, cloudCover: 0.85 },
+  storm: { fogDensity: 0.022, rain: 1.0, windStrength: 3.5, windSpeed: 2.5, distortionScale: 9.0, cloudCover: 1 }
+};
+
+// Which weather can follow which when the weather changes by itself
+const WEATHER_TRANSITIONS = {
+  clear: ['clear', 'overcast'],
+  overcast: ['clear', 'overcast', 'rain'],
+  rain: ['overcast', 'rain', 'storm'],
+  storm: ['rain']
+};
+
+// Size of the box of rain kept around the viewer
+const RAIN_AREA = 60;
+const RAIN_HEIGHT = 40;
+const RAIN_FALL_SPEED = 25;
+const RAIN_STREAK_LENGTH = 0.6;
+
+let presets = scalePresets(getDefaultWorldConfig().wind);
+let weatherName = 'clear';
+let current = { ...presets.clear };
+let from = { ...current };
+let transitionElapsed = 0;
+let transitionDuration = 0;
+let autoWeather = true;
+let timeUntilChange = 120;
+let world = null;
+let rain = null;
+let rainDrops = null;
+
+/**
+ * Create the rain and hook the weather up to the scene objects it drives
+ * @param {THREE.Scene} scene - Scene whose fog density is controlled
+ * @param {THREE.Mesh} [waterSurface] - Water whose ripples follow the wind
+ * @param {Object} [config] - World config (clear-weather wind)
+ */
+export function initWeather(scene, waterSurface, config = getDefaultWorldConfig()) {
+  world = { scene, waterSurface };
+  presets = scalePresets(config.wind);
+  current = { ...presets[weatherName] };
+  from = { ...current };
+
+  // Each drop is a short line segment, recycled when it hits the bottom of the box
+  rainDrops = new Float32Array(RAIN_DROP_COUNT * 3);
+  for (let i = 0; i < RAIN_DROP_COUNT; i++) {
+    rainDrops[i * 3] = (Math.random() - 0.5) * RAIN_AREA;
+    rainDrops[i * 3 + 1] = Math.random() * RAIN_HEIGHT - RAIN_HEIGHT / 2;
+    rainDrops[i * 3 + 2] = (Math.random() - 0.5) * RAIN_AREA;
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(RAIN_DROP_COUNT * 6), 3));
+  geometry.setDrawRange(0, 0);
+
+  rain = new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({
+    color: 0xaab4c8,
+    transparent: true,
+    opacity: 0.5,
+    depthWrite: false
+  }));
+  rain.frustumCulled = false;
+  rain.visible = false;
+  scene.add(rain);
+
+  applyWeather();
+}
+
+/**
+ * Change the weather
+ * @param {string} name - clear, overcast, rain or storm
+ * @param {number} [transitionSeconds] - How long to blend into the new weather
+ */
+export function setWeather(name, transitionSeconds = WEATHER_TRANSITION_TIME) {
+  if (!presets[name]) {
+    throw new Error(`Unknown weather: ${name}`);
+  }
+
+  weatherName = name;
+  from = { ...current };
+  transitionElapsed = 0;
+  transitionDuration = transitionSeconds;
+
+  if (transitionSeconds <= 0) {
+    current = { ...presets[name] };
+    applyWeather();
+  }
+}
+
+/**
+ * Get the weather currently set (or being blended into)
+ * @returns {string} - clear, overcast, rain or storm
+ */
+export function getWeather() {
+  return weatherName;
+}
+
+/**
+ * Get the blended weather values for this frame
+ * @returns {Object} - fogDensity, rain, windStrength, windSpeed, distortionScale and cloudCover
+ */
+export function getWeatherParams() {
+  return current;
+}
+
+/**
+ * Let the weather change by itself, or hold it where it is
+ * @param {boolean} enabled - Whether the weather changes automatically
+ */
+export function setAutoWeather(enabled) {
+  autoWeather = enabled;
+}
+
+/**
+ * Advance weather transitions and animate the rain
+ * @param {number} delta - Time delta in seconds
+ * @param {THREE.Vector3} focus - Point the rain falls around
+ */
+export function updateWeather(delta, focus) {
+  // Pick the next weather once the current spell is over
+  if (autoWeather) {
+    timeUntilChange -= delta;
+    if (timeUntilChange <= 0) {
+      const options = WEATHER_TRANSITIONS[weatherName];
+      setWeather(options[Math.floor(Math.random() * options.length)]);
+      timeUntilChange = 60 + Math.random() * 120;
+    }
+  }
+
+  // Blend smoothly towards the target values
+  if (transitionElapsed < transitionDuration) {
+    transitionElapsed = Math.min(transitionDuration, transitionElapsed + delta);
+    const t = THREE.MathUtils.smoothstep(transitionElapsed / transitionDuration, 0, 1);
+    const target = presets[weatherName];
+    for (const key of Object.keys(target)) {
+      current[key] = THREE.MathUtils.lerp(from[key], target[key], t);
+    }
+  }
+
+  applyWeather();
+  updateRain(delta, focus);
+}
+
+/**
+ * Turn the relative wind of each weather preset into absolute values
+ * @param {Object} wind - Clear-weather wind strength and speed
+ * @returns {Object} - Presets by weather name
+ */
+function scalePresets(wind) {
+  const scaled = {};
+  for (const [name, preset] of Object.entries(WEATHER_PRESETS)) {
+    scaled[name] = {
+      ...preset,
+      windStrength: preset.windStrength * wind.strength,
+      windSpeed: preset.windSpeed * wind.speed
+    };
+  }
+  return scaled;
+}
+
+/**
+ * Push the blended weather values into the scene
+ */
+function applyWeather() {
+  if (!world) return;
+
+  world.scene.fog.density = current.fogDensity;
+  if (world.waterSurface) {
+    world.waterSurface.material.uniforms['distortionScale'].value = current.distortionScale;
+  }
+}
+
+/**
+ * Move the rain drops and rebuild their streaks
+ * @param {number} delta - Time delta in seconds
+ * @param {THREE.Vector3} focus - Point the rain falls around
+ */
+function updateRain(delta, focus) {
+  if (!rain) return;
+
+  const activeDrops = Math.floor(RAIN_DROP_COUNT * current.rain);
+  rain.visible = activeDrops > 0;
+  rain.geometry.setDrawRange(0, activeDrops * 2);
+  if (!rain.visible) return;
+
+  rain.position.copy(focus);
+
+  // Streaks lean into the wind, further the stronger it blows
+  const windDirection = getWindState().direction;
+  const slant = current.windStrength * 0.4;
+  const fall = RAIN_FALL_SPEED * delta;
+  const positions = rain.geometry.attributes.position.array;
+
+  for (let i = 0; i < activeDrops; i++) {
+    let y = rainDrops[i * 3 + 1] - fall;
+    if (y < -RAIN_HEIGHT / 2) {
+      y += RAIN_HEIGHT;
+      rainDrops[i * 3] = (Math.random() - 0.5) * RAIN_AREA;
+      rainDrops[i * 3 + 2] = (Math.random() - 0.5) * RAIN_AREA;
+    }
+    rainDrops[i * 3 + 1] = y;
+
+    const x = rainDrops[i * 3];
+    const z = rainDrops[i * 3 + 2];
+    positions[i * 6] = x;
+    positions[i * 6 + 1] = y;
+    positions[i * 6 + 2] = z;
+    positions[i * 6 + 3] = x - windDirection.x * slant * RAIN_STREAK_LENGTH;
+    positions[i * 6 + 4] = y + RAIN_STREAK_LENGTH;
+    positions[i * 6 + 5] = z - windDirection.z * slant * RAIN_STREAK_LENGTH;
+  }
+
+  rain.geometry.attributes.position.needsUpdate = true;
+}
@@ -0,0 +1,146 @@
+// Streams the world in square chunks around the player
+import { CHUNK_LOAD_RADIUS, CHUNK_UNLOAD_RADIUS, CHUNKS_PER_FRAME } from './constants.js';
+import { getChunkCoord } from './terrain.js';
+import { getChunkWaterBodies } from './water.js';
+import { createGroundMaterial, createGroundChunk, updateWaterGeometry } from './environment.js';
+import { createChunkForest, removeChunkForest } from './forest.js';
+
+// Loaded chunks, keyed like the spatial grid cells
+const chunks = new Map();
+let world = null;
+
+/**
+ * Get the map key for a chunk
+ * @param {number} cx - Chunk x index
+ * @param {number} cz - Chunk z index
+ * @returns {number} - Unique key
+ */
+function chunkKey(cx, cz) {
+  return (cx + 32768) * 65536 + (cz + 32768);
+}
+
+/**
+ * Hook the chunk streamer up to the scene objects chunks are built into
+ * @param {THREE.Scene} scene - Scene to add chunk ground meshes to
+ * @param {THREE.Mesh} waterSurface - Water surface reshaped to the loaded lakes and rivers
+ * @param {THREE.LoadingManager} loadingManager - Loading manager for the ground texture
+ * @param {Object} config - World config the chunks are generated from
+ */
+export function initWorld(scene, waterSurface, loadingManager, config) {
+  world = {
+    scene,
+    waterSurface,
+    config,
+    groundMaterial: createGroundMaterial(loadingManager)
+  };
+}
+
+/**
+ * Load chunks near a point and unload distant ones
+ * Only a few chunks are generated per call so walking never stalls a frame.
+ * @param {THREE.Vector3} focus - Point to stream the world around (usually the character)
+ * @param {number} [maxLoads] - Most chunks to generate in this call
+ */
+export function updateWorld(focus, maxLoads = CHUNKS_PER_FRAME) {
+  if (!world) return;
+
+  const focusX = getChunkCoord(focus.x);
+  const focusZ = getChunkCoord(focus.z);
+  let changed = false;
+
+  // Drop chunks that have fallen well behind
+  for (const [key, chunk] of chunks) {
+    if (Math.max(Math.abs(chunk.cx - focusX), Math.abs(chunk.cz - focusZ)) > CHUNK_UNLOAD_RADIUS) {
+      unloadChunk(chunk);
+      chunks.delete(key);
+      changed = true;
+    }
+  }
+
+  // Generate missing chunks, closest first
+  const missing = [];
+  for (let cz = focusZ - CHUNK_LOAD_RADIUS; cz <= focusZ + CHUNK_LOAD_RADIUS; cz++) {
+    for (let cx = focusX - CHUNK_LOAD_RADIUS; cx <= focusX + CHUNK_LOAD_RADIUS; cx++) {
+      if (!chunks.has(chunkKey(cx, cz))) {
+        missing.push({ cx, cz, distance: (cx - focusX) ** 2 + (cz - focusZ) ** 2 });
+      }
+    }
+  }
+  missing.sort((a, b) => a.distance - b.distance);
+
+  for (const { cx, cz } of missing.slice(0, maxLoads)) {
+    chunks.set(chunkKey(cx, cz), loadChunk(cx, cz));
+    changed = true;
+  }
+
+  if (changed) {
+    updateWaterGeometry(world.waterSurface, getLoadedWater());
+  }
+}
+
+/**
+ * Build a chunk's ground, water bodies, trees and undergrowth
+ * @param {number} cx - Chunk x index
+ * @param {number} cz - Chunk z index
+ * @returns {Object} - Chunk with cx, cz, ground, water and forest
+ */
+function loadChunk(cx, cz) {
+  return {
+    cx,
+    cz,
+    ground: createGroundChunk(world.scene, cx, cz, world.groundMaterial),
+    water: getChunkWaterBodies(cx, cz),
+    forest: createChunkForest(cx, cz, world.config)
+  };
+}
+
+/**
+ * Remove a chunk's meshes and colliders
+ * @param {Object} chunk - Chunk from loadChunk
+ */
+function unloadChunk(chunk) {
+  world.scene.remove(chunk.ground);
+  chunk.ground.geometry.dispose();
+  removeChunkForest(chunk.forest);
+}
+
+/**
+ * Load exactly the given chunks, unloading the rest
+ * @param {Array<Array<number>>} coords - [cx, cz] index pairs of the chunks to load
+ * @param {boolean} [rebuildAll] - Unload every chunk first, e.g. after the seed changed
+ */
+export function restoreChunks(coords, rebuildAll = false) {
+  if (!world) return;
+
+  const wanted = new Set(coords.map(([cx, cz]) => chunkKey(cx, cz)));
+  for (const [key, chunk] of chunks) {
+    if (rebuildAll || !wanted.has(key)) {
+      unloadChunk(chunk);
+      chunks.delete(key);
+    }
+  }
+
+  for (const [cx, cz] of coords) {
+    if (!chunks.has(chunkKey(cx, cz))) {
+      chunks.set(chunkKey(cx, cz), loadChunk(cx, cz));
+    }
+  }
+
+  updateWaterGeometry(world.waterSurface, getLoadedWater());
+}
+
+/**
+ * Get every loaded chunk
+ * @returns {Array} - Chunks with cx, cz, ground, water and forest
+ */
+export function getLoadedChunks() {
+  return [...chunks.values()];
+}
+
+/**
+ * Get the water bodies of every loaded chunk
+ * @returns {Array} - Lakes and rivers, each listed once even when it crosses several chunks
+ */
+function getLoadedWater() {
+  return [...new Set(getLoadedChunks().flatMap((chunk) => chunk.water))];
+}